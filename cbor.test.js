@@ -0,0 +1,130 @@
+import { decode, encode, Tag } from "./src/cbor.js";
+import { DecodeError, TypeValidationError } from "./src/errors.js";
+import { bytesToHex, hexToBytes } from "@noble/hashes/utils";
+
+// RFC 8949 Appendix A examples within the supported data model
+const vectors = [
+  [0, "00"],
+  [23, "17"],
+  [24, "1818"],
+  [100, "1864"],
+  [1000, "1903e8"],
+  [1000000, "1a000f4240"],
+  [1000000000000, "1b000000e8d4a51000"],
+  [Number.MAX_SAFE_INTEGER, "1b001fffffffffffff"],
+  [-1, "20"],
+  [-1000, "3903e7"],
+  [Number.MIN_SAFE_INTEGER, "3b001ffffffffffffe"],
+  [false, "f4"],
+  [true, "f5"],
+  [null, "f6"],
+  [hexToBytes("01020304"), "4401020304"],
+  ["", "60"],
+  ["IETF", "6449455446"],
+  ["ü", "62c3bc"],
+  [[], "80"],
+  [[1, [2, 3], [4, 5]], "8301820203820405"],
+  [{}, "a0"],
+  [{ a: 1, b: [2, 3] }, "a26161016162820203"],
+  [new Tag(hexToBytes("00"), 0x25519), "da000255194100"],
+];
+
+describe("Deterministic encoding (RFC 8949 section 4.2.1)", () => {
+  test.each(vectors.map(([value, hex]) => [hex, value]))("%s", (hex, value) => {
+    expect(bytesToHex(encode(value))).toBe(hex);
+    expect(decode(hexToBytes(hex), { tags: [0x25519] })).toEqual(value);
+  });
+
+  test("Map keys are sorted by their encoded form", () => {
+    // Shorter keys first, then bytewise: "b" < "m" < "P_e" < "sig"
+    expect(bytesToHex(encode({ sig: 1, P_e: 2, m: 3, b: 4 }))).toBe(
+      "a4616204616d0363505f65026373696701",
+    );
+    expect(encode({ m: 1, skip: undefined })).toEqual(encode({ m: 1 }));
+  });
+
+  test("Values outside the data model are refused", () => {
+    for (const value of [1.5, NaN, 2 ** 53, 10n, undefined, new Map(), [1.5]]) {
+      expect(() => encode(value)).toThrow(TypeValidationError);
+    }
+  });
+});
+
+describe("Strict decoding", () => {
+  const rejects = (hex, message, options) =>
+    expect(() => decode(hexToBytes(hex), options)).toThrow(
+      new DecodeError(`Invalid CBOR: ${message}`),
+    );
+
+  test("Non-canonical encodings are rejected", () => {
+    rejects("1817", "Argument not in shortest form.");
+    rejects("b90000", "Argument not in shortest form.");
+    rejects("5800", "Argument not in shortest form.");
+    rejects("9fff", "Indefinite-length items are not allowed.");
+    rejects("5f4100ff", "Indefinite-length items are not allowed.");
+    rejects(
+      "a2616201616101",
+      'Map key "a" is duplicated or out of canonical order.',
+    );
+    rejects(
+      "a2616101616102",
+      'Map key "a" is duplicated or out of canonical order.',
+    );
+    rejects(
+      "a262616101616202",
+      'Map key "b" is duplicated or out of canonical order.',
+    );
+  });
+
+  test("Unsupported items are rejected", () => {
+    rejects("f93c00", "Unsupported simple value or float 0xf9.");
+    rejects("fb3ff0000000000000", "Unsupported simple value or float 0xfb.");
+    rejects("f7", "Unsupported simple value or float 0xf7.");
+    rejects("a10101", "Map keys must be text strings.");
+    rejects("c074", "Unsupported tag 0.");
+    rejects("1c", "Reserved additional information 28.");
+    rejects("1b0020000000000000", "Integer out of the safe range.");
+    rejects("3b001fffffffffffff", "Integer out of the safe range.");
+    rejects("62c328", "Text string is not valid UTF-8.");
+  });
+
+  test("Truncated, oversized and trailing input fails fast", () => {
+    rejects("", "Unexpected end of data.");
+    rejects("5820" + "00".repeat(31), "Unexpected end of data.");
+    rejects("5bffffffffffffffff", "Unexpected end of data.");
+    rejects("9bffffffffffffffff", "Unexpected end of data.");
+    rejects("ba7fffffff", "Unexpected end of data.");
+    rejects("0000", "Trailing bytes after the data item.");
+    rejects("4401020304", "5 bytes exceed the maximum size of 4.", {
+      maxSize: 4,
+    });
+    const nested = "81".repeat(4) + "00";
+    expect(decode(hexToBytes(nested), { maxDepth: 4 })).toEqual([[[[0]]]]);
+    rejects(nested, "Nesting exceeds the maximum depth of 3.", {
+      maxDepth: 3,
+    });
+    expect(() => decode("00")).toThrow(TypeValidationError);
+  });
+
+  test("A __proto__ key is kept as a plain field", () => {
+    const decoded = decode(hexToBytes("a1695f5f70726f746f5f5f01"));
+    expect(Object.getPrototypeOf(decoded)).toBe(Object.prototype);
+    expect(Object.keys(decoded)).toEqual(["__proto__"]);
+  });
+
+  test("Legacy mode reads 1.0.x encodings but still rejects duplicates", () => {
+    // 16-bit map length, keys out of order, tag 64 around byte strings
+    const legacy = hexToBytes("b90002616dd840410161430a");
+    expect(() => decode(legacy)).toThrow(DecodeError);
+    expect(decode(legacy, { legacy: true })).toEqual({
+      m: Uint8Array.of(1),
+      C: 10,
+    });
+    expect(() =>
+      decode(hexToBytes("b90002616d0a616d0b"), { legacy: true }),
+    ).toThrow('Invalid CBOR: Duplicate map key "m".');
+    expect(() => decode(hexToBytes("d8400a"), { legacy: true })).toThrow(
+      "Invalid CBOR: Tag 64 must wrap a byte string.",
+    );
+  });
+});
@@ -0,0 +1,261 @@
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { EXIT_CODES, run } from "./src/cli.js";
+import { PrivateKey, signMessage } from "./src/suite25519.js";
+
+let dir;
+const path = (name) => join(dir, name);
+
+// Runs the CLI in-process with `stdin` as input; resolves to { code, stdout, bytes, stderr }
+async function cli(argv, stdin = "") {
+  const stdout = [];
+  const stderr = [];
+  const code = await run(argv, {
+    stdin: [
+      typeof stdin === "string" ? new TextEncoder().encode(stdin) : stdin,
+    ],
+    stdout: { write: (chunk) => stdout.push(chunk) },
+    stderr: { write: (chunk) => stderr.push(chunk) },
+  });
+  const bytes = Buffer.concat(stdout.map((chunk) => Buffer.from(chunk)));
+  return {
+    code,
+    stdout: bytes.toString(),
+    bytes: new Uint8Array(bytes),
+    stderr: stderr.join(""),
+  };
+}
+
+beforeAll(async () => {
+  dir = await mkdtemp(join(tmpdir(), "suite25519-cli-"));
+  expect((await cli(["keygen", "-o", path("alice.key")])).code).toBe(0);
+  expect((await cli(["keygen", "-e", "pem", "-o", path("bob.pem")])).code).toBe(
+    0,
+  );
+  await cli(["pubkey", "-k", path("alice.key"), "-o", path("alice.pub")]);
+  await cli([
+    "pubkey",
+    "-k",
+    path("bob.pem"),
+    "-e",
+    "jwk",
+    "-o",
+    path("bob.jwk"),
+  ]);
+  await writeFile(path("msg.txt"), "hello ops\n");
+});
+
+afterAll(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe("Key commands", () => {
+  test("keygen / pubkey / id in all key encodings", async () => {
+    const key = PrivateKey.importFromBase64(
+      (await readFile(path("alice.key"), "utf8")).trim(),
+    );
+    expect((await readFile(path("alice.pub"), "utf8")).trim()).toBe(
+      key.publicKey.toBase64(),
+    );
+    expect((await cli(["id", "-k", path("alice.key")])).stdout).toBe(
+      `${key.publicKey.id}\n`,
+    );
+    expect(
+      (await cli(["id", "-p", path("alice.pub"), "--address"])).stdout,
+    ).toBe(`${key.publicKey.toAddress()}\n`);
+    const hex = await cli(["pubkey", "-k", path("bob.pem"), "-e", "hex"]);
+    const jwk = JSON.parse(await readFile(path("bob.jwk"), "utf8"));
+    expect(jwk.crv).toBe("Ed25519");
+    await writeFile(path("bob.hex"), hex.stdout);
+    expect((await cli(["id", "-p", path("bob.hex")])).stdout).toBe(
+      (await cli(["id", "-p", path("bob.jwk")])).stdout,
+    );
+    const binary = await cli(["keygen", "-e", "binary"]);
+    expect(binary.bytes).toHaveLength(32);
+  });
+});
+
+describe("Signing", () => {
+  test("Attached signatures verify and print the message", async () => {
+    const signed = await cli([
+      "sign",
+      "-k",
+      path("alice.key"),
+      path("msg.txt"),
+    ]);
+    expect(signed.code).toBe(0);
+    const verified = await cli(
+      ["verify", "-p", path("alice.pub")],
+      signed.stdout,
+    );
+    expect(verified).toMatchObject({ code: 0, stdout: "hello ops\n" });
+  });
+
+  test("Detached signatures with a context", async () => {
+    const signed = await cli([
+      "sign",
+      "-k",
+      path("alice.key"),
+      "--detached",
+      "--context",
+      "ops",
+      "-e",
+      "hex",
+      path("msg.txt"),
+    ]);
+    await writeFile(path("msg.sig"), signed.stdout);
+    const args = ["verify", "-p", path("alice.pub"), path("msg.sig")];
+    expect(
+      (await cli([...args, "--message", path("msg.txt"), "--context", "ops"]))
+        .code,
+    ).toBe(EXIT_CODES.OK);
+    expect((await cli([...args, "--message", path("msg.txt")])).code).toBe(
+      EXIT_CODES.SIGNATURE,
+    );
+    await writeFile(path("other.txt"), "hello opz\n");
+    expect(
+      (await cli([...args, "--message", path("other.txt"), "--context", "ops"]))
+        .code,
+    ).toBe(EXIT_CODES.SIGNATURE);
+  });
+
+  test("Embedded keys: trusted or checked against --pubkey", async () => {
+    const signed = await cli([
+      "sign",
+      "-k",
+      path("alice.key"),
+      "--embed-key",
+      path("msg.txt"),
+    ]);
+    expect(
+      (await cli(["verify", "--trust-embedded"], signed.stdout)).code,
+    ).toBe(EXIT_CODES.OK);
+    const wrongKey = await cli(
+      ["verify", "-p", path("bob.jwk")],
+      signed.stdout,
+    );
+    expect(wrongKey.code).toBe(EXIT_CODES.KEY_MISMATCH);
+    expect(wrongKey.stderr).toMatch(/^suite25519: Verification failed/);
+  });
+
+  test("Expired claims map to their own exit code", async () => {
+    const key = PrivateKey.importFromBase64(
+      (await readFile(path("alice.key"), "utf8")).trim(),
+    );
+    const payload = signMessage("old", key, true, false, {
+      claims: { iat: 1000, exp: 2000 },
+    });
+    expect((await cli(["verify", "-p", path("alice.pub")], payload)).code).toBe(
+      EXIT_CODES.CLAIM,
+    );
+  });
+});
+
+describe("Encryption", () => {
+  test("encrypt / decrypt through stdin, several recipients", async () => {
+    const encrypted = await cli(
+      ["encrypt", "-t", path("alice.pub"), "-t", path("bob.jwk")],
+      "secret",
+    );
+    expect(encrypted.code).toBe(0);
+    for (const key of ["alice.key", "bob.pem"]) {
+      expect(
+        (await cli(["decrypt", "-k", path(key)], encrypted.stdout)).stdout,
+      ).toBe("secret");
+    }
+  });
+
+  test("Binary and hex payloads, AAD and AEAD options", async () => {
+    const encrypted = await cli(
+      [
+        "encrypt",
+        "-t",
+        path("bob.jwk"),
+        "--aad",
+        "asset-7",
+        "--aead",
+        "XChaCha20-Poly1305",
+        "-e",
+        "binary",
+      ],
+      "secret",
+    );
+    const decrypt = (args) =>
+      cli(["decrypt", "-k", path("bob.pem"), ...args], encrypted.bytes);
+    expect((await decrypt(["--aad", "asset-7", "-e", "hex"])).stdout).toBe(
+      `${Buffer.from("secret").toString("hex")}\n`,
+    );
+    expect((await decrypt(["--aad", "asset-8"])).code).toBe(
+      EXIT_CODES.DECRYPTION,
+    );
+    expect(
+      (await cli(["decrypt", "-k", path("alice.key")], encrypted.bytes)).code,
+    ).toBe(EXIT_CODES.DECRYPTION);
+  });
+
+  test("sign-encrypt / decrypt-verify, recipient-bound", async () => {
+    const sealed = await cli(
+      [
+        "sign-encrypt",
+        "-k",
+        path("alice.key"),
+        "-t",
+        path("bob.jwk"),
+        "--bind",
+      ],
+      "pay 5",
+    );
+    const open = (args) =>
+      cli(["decrypt-verify", "-k", path("bob.pem"), ...args], sealed.stdout);
+    expect(
+      await open(["-f", path("alice.pub"), "--require-binding"]),
+    ).toMatchObject({ code: 0, stdout: "pay 5" });
+    expect((await open(["-f", path("bob.jwk")])).code).toBe(
+      EXIT_CODES.KEY_MISMATCH,
+    );
+    // Bob re-encrypts Alice's signed payload for Alice herself
+    const inner = await cli(["decrypt", "-k", path("bob.pem")], sealed.stdout);
+    const forwarded = await cli(
+      ["encrypt", "-t", path("alice.pub")],
+      inner.bytes,
+    );
+    const reopened = await cli(
+      ["decrypt-verify", "-k", path("alice.key"), "-f", path("alice.pub")],
+      forwarded.stdout,
+    );
+    expect(reopened.code).toBe(EXIT_CODES.RECIPIENT_BINDING);
+  });
+});
+
+describe("Usage and input errors", () => {
+  test("Bad command lines exit with the usage code", async () => {
+    for (const argv of [
+      ["frobnicate"],
+      ["sign", "--bind"],
+      ["sign", "--no-such-option"],
+      ["encrypt", "a", "b"],
+      ["id"],
+      ["keygen", "-e", "base32"],
+    ]) {
+      const result = await cli(argv);
+      expect(result.code).toBe(EXIT_CODES.USAGE);
+      expect(result.stderr).toMatch(/^suite25519: /);
+    }
+    const help = await cli(["help"]);
+    expect(help.code).toBe(0);
+    expect(help.stdout).toMatch(/^Usage: suite25519/);
+  });
+
+  test("Malformed input and missing files", async () => {
+    expect(
+      (await cli(["decrypt", "-k", path("alice.key"), path("msg.txt")])).code,
+    ).toBe(EXIT_CODES.DECODE);
+    expect((await cli(["decrypt", "-k", path("msg.txt")], "")).code).toBe(
+      EXIT_CODES.DECODE,
+    );
+    expect((await cli(["pubkey", "-k", path("missing.key")])).code).toBe(
+      EXIT_CODES.ERROR,
+    );
+  });
+});
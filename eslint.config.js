@@ -8,7 +8,7 @@ export default [
 
   // 2. Configuration for your source and root JS files
   {
-    files: ["src/**/*.js", "*.js"], // Apply to JS files in src and root
+    files: ["src/**/*.js", "bin/**/*.js", "*.js"], // Apply to JS files in src, bin and root
     languageOptions: {
       ecmaVersion: "latest", // Use modern ECMAScript
       sourceType: "module", // Use ES Modules
@@ -0,0 +1,204 @@
+import {
+  deriveKeyPair,
+  setupSender,
+  setupRecipient,
+  HPKE_MODE_BASE,
+  HPKE_MODE_PSK,
+  HPKE_MODE_AUTH,
+  HPKE_MODE_AUTH_PSK,
+  HPKE_AEAD_AES_128_GCM,
+  HPKE_AEAD_CHACHA20_POLY1305,
+  HPKE_AEAD_EXPORT_ONLY,
+} from "./src/hpke.js";
+import { bytesToHex, hexToBytes } from "@noble/hashes/utils";
+
+// RFC 9180 Appendix A test vectors for DHKEM(X25519, HKDF-SHA256), HKDF-SHA256
+const info = hexToBytes("4f6465206f6e2061204772656369616e2055726e");
+const psk = hexToBytes(
+  "0247fd33b913760fa1fa51e1892d9f307fbe65eb171e8132c2af18555a738b82",
+);
+const pskId = hexToBytes("456e6e796e20447572696e206172616e204d6f726961");
+const plaintext = hexToBytes(
+  "4265617574792069732074727574682c20747275746820626561757479",
+);
+const aad0 = hexToBytes("436f756e742d30");
+
+const vectors = [
+  {
+    name: "A.1.1 Base, AES-128-GCM",
+    mode: HPKE_MODE_BASE,
+    aeadId: HPKE_AEAD_AES_128_GCM,
+    ikmE: "7268600d403fce431561aef583ee1613527cff655c1343f29812e66706df3234",
+    ikmR: "6db9df30aa07dd42ee5e8181afdb977e538f5e1fec8a06223f33f7013e525037",
+    skEm: "52c4a758a802cd8b936eceea314432798d5baf2d7e9235dc084ab1b9cfa2f736",
+    enc: "37fda3567bdbd628e88668c3c8d7e97d1d1253b6d4ea6d44c150f741f1bf4431",
+    skRm: "4612c550263fc8ad58375df3f557aac531d26850903e55a9f23f21d8534e8ac8",
+    key: "4531685d41d65f03dc48f6b8302c05b0",
+    baseNonce: "56d890e5accaaf011cff4b7d",
+    exporterSecret:
+      "45ff1c2e220db587171952c0592d5f5ebe103f1561a2614e38f2ffd47e99e3f8",
+    ct0: "f938558b5d72f1a23810b4be2ab4f84331acc02fc97babc53a52ae8218a355a96d8770ac83d07bea87e13c512a",
+    export0: "3853fe2b4035195a573ffc53856e77058e15d9ea064de3e59f4961d0095250ee",
+  },
+  {
+    name: "A.1.2 PSK, AES-128-GCM",
+    mode: HPKE_MODE_PSK,
+    aeadId: HPKE_AEAD_AES_128_GCM,
+    ikmE: "78628c354e46f3e169bd231be7b2ff1c77aa302460a26dbfa15515684c00130b",
+    ikmR: "d4a09d09f575fef425905d2ab396c1449141463f698f8efdb7accfaff8995098",
+    key: "15026dba546e3ae05836fc7de5a7bb26",
+    baseNonce: "9518635eba129d5ce0914555",
+    ct0: "e52c6fed7f758d0cf7145689f21bc1be6ec9ea097fef4e959440012f4feb73fb611b946199e681f4cfc34db8ea",
+  },
+  {
+    name: "A.1.3 Auth, AES-128-GCM",
+    mode: HPKE_MODE_AUTH,
+    aeadId: HPKE_AEAD_AES_128_GCM,
+    ikmE: "6e6d8f200ea2fb20c30b003a8b4f433d2f4ed4c2658d5bc8ce2fef718059c9f7",
+    ikmR: "f1d4a30a4cef8d6d4e3b016e6fd3799ea057db4f345472ed302a67ce1c20cdec",
+    ikmS: "94b020ce91d73fca4649006c7e7329a67b40c55e9e93cc907d282bbbff386f58",
+    key: "b062cb2c4dd4bca0ad7c7a12bbc341e6",
+    baseNonce: "a1bc314c1942ade7051ffed0",
+    ct0: "5fd92cc9d46dbf8943e72a07e42f363ed5f721212cd90bcfd072bfd9f44e06b80fd17824947496e21b680c141b",
+  },
+  {
+    name: "A.1.4 AuthPSK, AES-128-GCM",
+    mode: HPKE_MODE_AUTH_PSK,
+    aeadId: HPKE_AEAD_AES_128_GCM,
+    ikmE: "4303619085a20ebcf18edd22782952b8a7161e1dbae6e46e143a52a96127cf84",
+    ikmR: "4b16221f3b269a88e207270b5e1de28cb01f847841b344b8314d6a622fe5ee90",
+    ikmS: "62f77dcf5df0dd7eac54eac9f654f426d4161ec850cc65c54f8b65d2e0b4e345",
+    key: "1364ead92c47aa7becfa95203037b19a",
+    baseNonce: "99d8b5c54669807e9fc70df1",
+    ct0: "a84c64df1e11d8fd11450039d4fe64ff0c8a99fca0bd72c2d4c3e0400bc14a40f27e45e141a24001697737533e",
+  },
+  {
+    name: "A.2.1 Base, ChaCha20Poly1305",
+    mode: HPKE_MODE_BASE,
+    aeadId: HPKE_AEAD_CHACHA20_POLY1305,
+    ikmE: "909a9b35d3dc4713a5e72a4da274b55d3d3821a37e5d099e74a647db583a904b",
+    ikmR: "1ac01f181fdf9f352797655161c58b75c656a6cc2716dcb66372da835542e1df",
+    key: "ad2744de8e17f4ebba575b3f5f5a8fa1f69c2a07f6e7500bc60ca6e3e3ec1c91",
+    baseNonce: "5c4d98150661b848853b547f",
+    ct0: "1c5250d8034ec2b784ba2cfd69dbdb8af406cfe3ff938e131f0def8c8b60b4db21993c62ce81883d2dd1b51a28",
+  },
+];
+
+const modeInputs = (vector, sender) => {
+  const inputs = {};
+  if (vector.mode === HPKE_MODE_PSK || vector.mode === HPKE_MODE_AUTH_PSK) {
+    Object.assign(inputs, { psk, pskId });
+  }
+  if (vector.ikmS) {
+    const keyPair = deriveKeyPair(hexToBytes(vector.ikmS));
+    if (sender) inputs.senderPrivateKey = keyPair.privateKey;
+    else inputs.senderPublicKey = keyPair.publicKey;
+  }
+  return inputs;
+};
+
+describe("HPKE (RFC 9180) test vectors", () => {
+  test.each(vectors)("$name", (vector) => {
+    const ephemeral = deriveKeyPair(hexToBytes(vector.ikmE));
+    const recipient = deriveKeyPair(hexToBytes(vector.ikmR));
+    if (vector.skEm) {
+      expect(bytesToHex(ephemeral.privateKey)).toEqual(vector.skEm);
+      expect(bytesToHex(ephemeral.publicKey)).toEqual(vector.enc);
+      expect(bytesToHex(recipient.privateKey)).toEqual(vector.skRm);
+    }
+
+    const { enc, context: sender } = setupSender({
+      mode: vector.mode,
+      aeadId: vector.aeadId,
+      recipientPublicKey: recipient.publicKey,
+      info,
+      ephemeralPrivateKey: ephemeral.privateKey,
+      ...modeInputs(vector, true),
+    });
+    expect(bytesToHex(sender.key)).toEqual(vector.key);
+    expect(bytesToHex(sender.baseNonce)).toEqual(vector.baseNonce);
+    if (vector.exporterSecret) {
+      expect(bytesToHex(sender.exporterSecret)).toEqual(vector.exporterSecret);
+    }
+
+    const ciphertext = sender.seal(plaintext, aad0);
+    expect(bytesToHex(ciphertext)).toEqual(vector.ct0);
+
+    const recipientContext = setupRecipient({
+      mode: vector.mode,
+      aeadId: vector.aeadId,
+      enc,
+      recipientPrivateKey: recipient.privateKey,
+      info,
+      ...modeInputs(vector, false),
+    });
+    expect(recipientContext.open(ciphertext, aad0)).toEqual(plaintext);
+    if (vector.export0) {
+      expect(
+        bytesToHex(recipientContext.export(new Uint8Array(0), 32)),
+      ).toEqual(vector.export0);
+    }
+  });
+});
+
+describe("HPKE context behaviour", () => {
+  const recipient = deriveKeyPair(new Uint8Array(32).fill(7));
+
+  test("Sequence numbers advance per message", () => {
+    const { enc, context: sender } = setupSender({
+      recipientPublicKey: recipient.publicKey,
+    });
+    const receiver = setupRecipient({
+      enc,
+      recipientPrivateKey: recipient.privateKey,
+    });
+    const first = sender.seal(plaintext);
+    const second = sender.seal(plaintext);
+    expect(first).not.toEqual(second);
+    expect(receiver.open(first)).toEqual(plaintext);
+    expect(receiver.open(second)).toEqual(plaintext);
+  });
+
+  test("Out-of-order open fails", () => {
+    const { enc, context: sender } = setupSender({
+      recipientPublicKey: recipient.publicKey,
+    });
+    const receiver = setupRecipient({
+      enc,
+      recipientPrivateKey: recipient.privateKey,
+    });
+    sender.seal(plaintext);
+    expect(() => receiver.open(sender.seal(plaintext))).toThrow(
+      "HPKE: Decryption failed (authentication tag mismatch).",
+    );
+  });
+
+  test("PSK inputs must match the mode", () => {
+    expect(() =>
+      setupSender({
+        mode: HPKE_MODE_PSK,
+        recipientPublicKey: recipient.publicKey,
+      }),
+    ).toThrow("HPKE: Missing required PSK input.");
+    expect(() =>
+      setupSender({ recipientPublicKey: recipient.publicKey, psk, pskId }),
+    ).toThrow("HPKE: PSK input provided when not needed.");
+  });
+
+  test("Export-only contexts cannot seal", () => {
+    const { context } = setupSender({
+      aeadId: HPKE_AEAD_EXPORT_ONLY,
+      recipientPublicKey: recipient.publicKey,
+    });
+    expect(context.export(new Uint8Array(0), 16)).toHaveLength(16);
+    expect(() => context.seal(plaintext)).toThrow(
+      "HPKE: Export-only context cannot seal or open.",
+    );
+  });
+
+  test("Low-order public keys are rejected", () => {
+    expect(() =>
+      setupSender({ recipientPublicKey: new Uint8Array(32) }),
+    ).toThrow();
+  });
+});
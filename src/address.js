@@ -0,0 +1,175 @@
+// Checksummed addresses for Ed25519 public keys.
+// An address encodes the key hash RIPEMD-160(publicKey) (the same value as PublicKey.id)
+// with a network prefix: the human-readable part for bech32m (BIP-350), or a
+// version byte for base58check (double SHA-256 checksum).
+import { base58check, bech32m } from "@scure/base";
+import { ripemd160 } from "@noble/hashes/ripemd160";
+import { sha256 } from "@noble/hashes/sha256";
+import { bytesToHex } from "@noble/hashes/utils";
+import { DecodeError, TypeValidationError } from "./errors.js";
+
+export const DEFAULT_ADDRESS_HRP = "lea";
+export const DEFAULT_ADDRESS_VERSION = 0x00;
+const KEY_HASH_LENGTH = 20;
+const base58 = base58check(sha256);
+
+// hrp "1" data (bech32 charset); base58 addresses are practically never single-case
+const BECH32M_PATTERN = /^[a-z0-9]{1,83}1[ac-hj-np-z02-9]{6,}$/;
+
+const looksLikeBech32m = (text) =>
+  (text === text.toLowerCase() || text === text.toUpperCase()) &&
+  BECH32M_PATTERN.test(text.toLowerCase());
+
+function parseBech32m(text) {
+  let decoded, keyHash;
+  try {
+    decoded = bech32m.decode(text.toLowerCase());
+    // A valid checksum does not imply zero padding bits
+    keyHash = Uint8Array.from(bech32m.fromWords(decoded.words));
+  } catch (e) {
+    throw new DecodeError(`Invalid address: ${e.message}`, { cause: e });
+  }
+  return new Address({ encoding: "bech32m", hrp: decoded.prefix, keyHash });
+}
+
+function parseBase58check(text) {
+  let decoded;
+  try {
+    decoded = base58.decode(text);
+  } catch (e) {
+    throw new DecodeError(`Invalid address: ${e.message}`, { cause: e });
+  }
+  if (decoded.length !== KEY_HASH_LENGTH + 1) {
+    throw new DecodeError(
+      `Invalid address: Expected a ${KEY_HASH_LENGTH}-byte key hash.`,
+    );
+  }
+  return new Address({
+    encoding: "base58check",
+    version: decoded[0],
+    keyHash: decoded.slice(1),
+  });
+}
+
+function checkKeyHash(keyHash) {
+  if (!(keyHash instanceof Uint8Array) || keyHash.length !== KEY_HASH_LENGTH) {
+    throw new DecodeError(
+      `Invalid address: Expected a ${KEY_HASH_LENGTH}-byte key hash.`,
+    );
+  }
+}
+
+export class Address {
+  // Use Address.fromPublicKey / Address.parse rather than the constructor
+  constructor({ encoding, hrp, version, keyHash }) {
+    checkKeyHash(keyHash);
+    if (encoding === "bech32m") {
+      if (typeof hrp !== "string" || !/^[a-z0-9]{1,83}$/.test(hrp)) {
+        throw new TypeValidationError(`Invalid address prefix: ${hrp}.`);
+      }
+    } else if (encoding === "base58check") {
+      if (!Number.isInteger(version) || version < 0 || version > 255) {
+        throw new TypeValidationError(`Invalid address version: ${version}.`);
+      }
+    } else {
+      throw new TypeValidationError(
+        `Unsupported address encoding: ${encoding}.`,
+      );
+    }
+    this.encoding = encoding;
+    this.hrp = encoding === "bech32m" ? hrp : undefined;
+    this.version = encoding === "base58check" ? version : undefined;
+    this.keyHash = keyHash;
+  }
+
+  /**
+   * Builds the address of an Ed25519 public key.
+   * @param {Uint8Array} publicKey - Raw 32-byte public key.
+   * @param {object} [options]
+   * @param {"bech32m" | "base58check"} [options.encoding="bech32m"]
+   * @param {string} [options.hrp="lea"] - bech32m human-readable part (network prefix).
+   * @param {number} [options.version=0] - base58check version byte (network prefix).
+   * @returns {Address}
+   */
+  static fromPublicKey(publicKey, options = {}) {
+    const {
+      encoding = "bech32m",
+      hrp = DEFAULT_ADDRESS_HRP,
+      version = DEFAULT_ADDRESS_VERSION,
+    } = options;
+    return new Address({
+      encoding,
+      hrp,
+      version,
+      keyHash: ripemd160(publicKey),
+    });
+  }
+
+  /**
+   * Parses and validates an address string.
+   * @param {string} text - bech32m or base58check address.
+   * @param {object} [expected] - Network prefix to require.
+   * @param {string} [expected.hrp] - Required bech32m human-readable part.
+   * @param {number} [expected.version] - Required base58check version byte.
+   * @returns {Address}
+   * @throws {DecodeError} On a bad checksum, wrong length or unexpected network prefix.
+   */
+  static parse(text, expected = {}) {
+    if (typeof text !== "string") {
+      throw new TypeValidationError("Invalid address: Expected a string.");
+    }
+    const address = looksLikeBech32m(text)
+      ? parseBech32m(text)
+      : parseBase58check(text);
+    if (expected.hrp !== undefined && address.hrp !== expected.hrp) {
+      throw new DecodeError(
+        `Invalid address: Expected network prefix "${expected.hrp}", got ${address.hrp === undefined ? "a base58check address" : `"${address.hrp}"`}.`,
+      );
+    }
+    if (
+      expected.version !== undefined &&
+      address.version !== expected.version
+    ) {
+      throw new DecodeError(
+        `Invalid address: Expected version ${expected.version}, got ${address.version === undefined ? "a bech32m address" : address.version}.`,
+      );
+    }
+    return address;
+  }
+
+  toString() {
+    if (this.encoding === "bech32m") {
+      return bech32m.encode(this.hrp, bech32m.toWords(this.keyHash));
+    }
+    return base58.encode(Uint8Array.of(this.version, ...this.keyHash));
+  }
+
+  // Hex key hash, identical to PublicKey.id
+  get id() {
+    return bytesToHex(this.keyHash);
+  }
+
+  // True if `other` (Address or string) is the same address: same key and same network prefix
+  equals(other) {
+    const address = other instanceof Address ? other : Address.parse(other);
+    return (
+      address.encoding === this.encoding &&
+      address.hrp === this.hrp &&
+      address.version === this.version &&
+      this.sameKey(address)
+    );
+  }
+
+  // True if `other` (Address or string) names the same key, regardless of encoding or network
+  sameKey(other) {
+    const address = other instanceof Address ? other : Address.parse(other);
+    return address.id === this.id;
+  }
+
+  // True if this address belongs to the given raw public key (or any object with toBinary())
+  isFor(publicKey) {
+    const bytes =
+      publicKey instanceof Uint8Array ? publicKey : publicKey.toBinary();
+    return bytesToHex(ripemd160(bytes)) === this.id;
+  }
+}
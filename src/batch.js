@@ -0,0 +1,74 @@
+// Randomized batch verification of Ed25519 (RFC 8032) signatures.
+// Uses the same cofactored equation and point-decoding rules as noble's single
+// verification, so a batch accepts exactly the signatures `ed25519.verify` accepts.
+import { ed25519 } from "@noble/curves/ed25519";
+import { mod } from "@noble/curves/abstract/modular";
+import { bytesToNumberLE, concatBytes } from "@noble/curves/abstract/utils";
+import { sha512 } from "@noble/hashes/sha512";
+import { randomBytes } from "@noble/hashes/utils";
+
+const Point = ed25519.ExtendedPoint;
+const L = ed25519.CURVE.n;
+
+// Decodes one signature into the terms of [8](s·B − R − k·A) = 0, or null if malformed
+function decodeItem({ publicKey, message, signature }, zip215) {
+  if (publicKey.length !== 32 || signature.length !== 64) return null;
+  try {
+    const A = Point.fromHex(publicKey, zip215);
+    const R = Point.fromHex(signature.subarray(0, 32), zip215);
+    const s = bytesToNumberLE(signature.subarray(32));
+    if (s >= L) return null;
+    if (!zip215 && A.isSmallOrder()) return null;
+    const k = mod(
+      bytesToNumberLE(
+        sha512(concatBytes(R.toRawBytes(), A.toRawBytes(), message)),
+      ),
+      L,
+    );
+    return { A, R, s, k };
+  } catch {
+    return null;
+  }
+}
+
+// Checks Σ z_i·(s_i·B − R_i − k_i·A_i) = 0 (cofactored) for random 128-bit z_i
+function batchHolds(terms) {
+  let s = 0n;
+  const points = [];
+  const scalars = [];
+  for (const { A, R, s: si, k } of terms) {
+    const z = bytesToNumberLE(randomBytes(16)) | 1n;
+    s = mod(s + z * si, L);
+    points.push(R, A);
+    scalars.push(z, mod(z * k, L));
+  }
+  const sum = Point.msm(points, scalars);
+  return sum.subtract(Point.BASE.multiplyUnsafe(s)).clearCofactor().is0();
+}
+
+function singleHolds({ A, R, s, k }) {
+  return R.add(A.multiplyUnsafe(k))
+    .subtract(Point.BASE.multiplyUnsafe(s))
+    .clearCofactor()
+    .is0();
+}
+
+/**
+ * Verifies many Ed25519 signatures at once.
+ * When the combined check fails, each entry is checked on its own to find the failures.
+ * @param {{publicKey: Uint8Array, message: Uint8Array, signature: Uint8Array}[]} items
+ * @param {object} [options]
+ * @param {boolean} [options.zip215=false] - ZIP-215 rules instead of strict RFC 8032 / FIPS 186-5.
+ * @returns {boolean[]} - One result per item, in order.
+ */
+export function verifyEd25519Batch(items, { zip215 = false } = {}) {
+  const terms = items.map((item) => decodeItem(item, zip215));
+  const results = terms.map((term) => term !== null);
+  const candidates = terms.filter((term) => term !== null);
+  if (candidates.length > 0 && !batchHolds(candidates)) {
+    terms.forEach((term, i) => {
+      if (term !== null) results[i] = singleHolds(term);
+    });
+  }
+  return results;
+}
@@ -0,0 +1,303 @@
+// Deterministic CBOR (RFC 8949 section 4.2.1, core deterministic encoding) and a
+// strict, bounded decoder for untrusted payloads. Only the data model the payloads
+// use is supported: safe integers, byte and text strings, arrays, maps with text
+// keys, false / true / null and tags. Floats, undefined, indefinite lengths,
+// non-shortest arguments, unsorted or duplicate map keys and trailing bytes are
+// rejected, so every value has exactly one accepted encoding.
+import { DecodeError, TypeValidationError } from "./errors.js";
+
+export const DEFAULT_MAX_SIZE = 64 * 1024 * 1024; // bytes
+export const DEFAULT_MAX_DEPTH = 16; // nested arrays, maps and tags
+
+// Tag 64 (uint8 typed array) wraps byte strings in payloads written by 1.0.x
+const TAG_UINT8_ARRAY = 64;
+
+// Smallest argument allowed for additional information 24..27
+const MIN_ARGUMENT = [24, 0x100, 0x10000, 0x100000000];
+
+const textEncoder = new TextEncoder();
+// ignoreBOM keeps a leading U+FEFF, so distinct encodings never decode to the same text
+const textDecoder = new TextDecoder("utf-8", { fatal: true, ignoreBOM: true });
+
+// Tagged data item; same (value, tag) signature as cbor-x's Tag
+export class Tag {
+  constructor(value, tag) {
+    this.value = value;
+    this.tag = tag;
+  }
+}
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+function compareBytes(a, b) {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+// Initial byte and argument in the shortest form
+function head(major, argument) {
+  const type = major << 5;
+  if (argument < 24) return Uint8Array.of(type | argument);
+  if (argument < 0x100) return Uint8Array.of(type | 24, argument);
+  if (argument < 0x10000) {
+    return Uint8Array.of(type | 25, argument >> 8, argument & 0xff);
+  }
+  const wide = argument >= 0x100000000;
+  const out = new Uint8Array(wide ? 9 : 5);
+  const view = new DataView(out.buffer);
+  out[0] = type | (wide ? 27 : 26);
+  if (wide) view.setBigUint64(1, BigInt(argument));
+  else view.setUint32(1, argument);
+  return out;
+}
+
+function encodeText(text) {
+  const bytes = textEncoder.encode(text);
+  return concat([head(3, bytes.length), bytes]);
+}
+
+function encodeItem(value, parts) {
+  if (value === null || typeof value === "boolean") {
+    parts.push(Uint8Array.of(value === null ? 0xf6 : value ? 0xf5 : 0xf4));
+  } else if (typeof value === "number") {
+    if (!Number.isSafeInteger(value)) {
+      throw new TypeValidationError(
+        `Cannot encode ${value} as CBOR: Only safe integers are supported.`,
+      );
+    }
+    parts.push(value >= 0 ? head(0, value) : head(1, -1 - value));
+  } else if (typeof value === "string") {
+    parts.push(encodeText(value));
+  } else if (value instanceof Uint8Array) {
+    parts.push(head(2, value.length), value);
+  } else if (Array.isArray(value)) {
+    parts.push(head(4, value.length));
+    value.forEach((item) => encodeItem(item, parts));
+  } else if (value instanceof Tag && Number.isSafeInteger(value.tag)) {
+    parts.push(head(6, value.tag));
+    encodeItem(value.value, parts);
+  } else if (isPlainObject(value)) {
+    // Keys sorted by their encoded bytes; undefined members are left out
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .map((key) => [encodeText(key), value[key]])
+      .sort(([a], [b]) => compareBytes(a, b));
+    parts.push(head(5, entries.length));
+    for (const [key, item] of entries) {
+      parts.push(key);
+      encodeItem(item, parts);
+    }
+  } else {
+    throw new TypeValidationError(
+      `Cannot encode ${value?.constructor?.name ?? typeof value} as CBOR.`,
+    );
+  }
+}
+
+/**
+ * Encodes a value as deterministic CBOR.
+ * @param {*} value - Built from safe integers, strings, Uint8Arrays, arrays, plain objects, booleans, null and Tags.
+ * @returns {Uint8Array}
+ */
+export function encode(value) {
+  const parts = [];
+  encodeItem(value, parts);
+  return concat(parts);
+}
+
+class CborReader {
+  constructor(bytes, { maxDepth, tags, legacy }) {
+    this.bytes = bytes;
+    this.offset = 0;
+    this.maxDepth = maxDepth;
+    this.tags = tags;
+    this.legacy = legacy;
+  }
+
+  fail(reason) {
+    throw new DecodeError(`Invalid CBOR: ${reason}`);
+  }
+
+  byte() {
+    if (this.offset >= this.bytes.length) this.fail("Unexpected end of data.");
+    return this.bytes[this.offset++];
+  }
+
+  take(length) {
+    if (length > this.bytes.length - this.offset) {
+      this.fail("Unexpected end of data.");
+    }
+    const out = this.bytes.slice(this.offset, this.offset + length);
+    this.offset += length;
+    return out;
+  }
+
+  // Argument of an item head; the initial byte has been read
+  argument(info) {
+    if (info < 24) return info;
+    if (info > 27) {
+      this.fail(
+        info === 31
+          ? "Indefinite-length items are not allowed."
+          : `Reserved additional information ${info}.`,
+      );
+    }
+    let argument = 0;
+    for (let i = 0; i < 1 << (info - 24); i++) {
+      argument = argument * 256 + this.byte(); // Stays >= 2^53 once past it
+    }
+    if (!this.legacy && argument < MIN_ARGUMENT[info - 24]) {
+      this.fail("Argument not in shortest form.");
+    }
+    return argument;
+  }
+
+  // Checks that `count` items (of at least `size` bytes each) can still follow
+  checkCount(count, size) {
+    if (count > (this.bytes.length - this.offset) / size) {
+      this.fail("Unexpected end of data.");
+    }
+  }
+
+  text(length) {
+    try {
+      return textDecoder.decode(this.take(length));
+    } catch (error) {
+      if (error instanceof DecodeError) throw error;
+      this.fail("Text string is not valid UTF-8.");
+    }
+  }
+
+  item(depth) {
+    const initial = this.byte();
+    const major = initial >> 5;
+    if (major >= 4 && major <= 6 && depth > this.maxDepth) {
+      this.fail(`Nesting exceeds the maximum depth of ${this.maxDepth}.`);
+    }
+    if (major === 7) {
+      // Only false, true and null; no floats, undefined or other simple values
+      if (initial === 0xf4) return false;
+      if (initial === 0xf5) return true;
+      if (initial === 0xf6) return null;
+      this.fail(`Unsupported simple value or float 0x${initial.toString(16)}.`);
+    }
+    const argument = this.argument(initial & 0x1f);
+    switch (major) {
+      case 0:
+      case 1:
+        if (argument > Number.MAX_SAFE_INTEGER - major) {
+          this.fail("Integer out of the safe range.");
+        }
+        return major === 0 ? argument : -1 - argument;
+      case 2:
+        return this.take(argument);
+      case 3:
+        return this.text(argument);
+      case 4: {
+        this.checkCount(argument, 1);
+        const items = [];
+        for (let i = 0; i < argument; i++) items.push(this.item(depth + 1));
+        return items;
+      }
+      case 5:
+        return this.map(argument, depth);
+      default:
+        return this.tag(argument, depth);
+    }
+  }
+
+  map(count, depth) {
+    this.checkCount(count, 2);
+    const map = {};
+    let previousKey = null;
+    for (let i = 0; i < count; i++) {
+      const start = this.offset;
+      const initial = this.byte();
+      if (initial >> 5 !== 3) this.fail("Map keys must be text strings.");
+      const key = this.text(this.argument(initial & 0x1f));
+      const encodedKey = this.bytes.subarray(start, this.offset);
+      if (this.legacy) {
+        if (Object.prototype.hasOwnProperty.call(map, key)) {
+          this.fail(`Duplicate map key "${key}".`);
+        }
+      } else if (
+        previousKey !== null &&
+        compareBytes(previousKey, encodedKey) >= 0
+      ) {
+        this.fail(`Map key "${key}" is duplicated or out of canonical order.`);
+      }
+      previousKey = encodedKey;
+      // defineProperty, so a "__proto__" key cannot replace the prototype
+      Object.defineProperty(map, key, {
+        value: this.item(depth + 1),
+        enumerable: true,
+        writable: true,
+        configurable: true,
+      });
+    }
+    return map;
+  }
+
+  tag(tag, depth) {
+    if (this.legacy && tag === TAG_UINT8_ARRAY) {
+      const value = this.item(depth + 1);
+      if (!(value instanceof Uint8Array)) {
+        this.fail("Tag 64 must wrap a byte string.");
+      }
+      return value;
+    }
+    if (!this.tags.includes(tag)) this.fail(`Unsupported tag ${tag}.`);
+    return new Tag(this.item(depth + 1), tag);
+  }
+}
+
+/**
+ * Decodes exactly one deterministic CBOR data item.
+ * @param {Uint8Array} bytes
+ * @param {object} [options]
+ * @param {number} [options.maxSize=DEFAULT_MAX_SIZE] - Largest accepted input in bytes.
+ * @param {number} [options.maxDepth=DEFAULT_MAX_DEPTH] - Deepest nesting of arrays, maps and tags.
+ * @param {number[]} [options.tags=[]] - Tag numbers allowed in the input.
+ * @param {boolean} [options.legacy=false] - Read 1.0.x payloads: arguments need not be
+ *   shortest, map keys may come in any order (but not twice) and tag 64 may wrap byte strings.
+ * @returns {*} - Maps decode to plain objects, byte strings to Uint8Arrays.
+ * @throws {DecodeError} If the input is malformed, non-canonical or exceeds a limit.
+ */
+export function decode(bytes, options = {}) {
+  const {
+    maxSize = DEFAULT_MAX_SIZE,
+    maxDepth = DEFAULT_MAX_DEPTH,
+    tags = [],
+    legacy = false,
+  } = options;
+  if (!(bytes instanceof Uint8Array)) {
+    throw new TypeValidationError("CBOR input must be a Uint8Array.");
+  }
+  if (bytes.length > maxSize) {
+    throw new DecodeError(
+      `Invalid CBOR: ${bytes.length} bytes exceed the maximum size of ${maxSize}.`,
+    );
+  }
+  const reader = new CborReader(bytes, { maxDepth, tags, legacy });
+  const value = reader.item(1);
+  if (reader.offset !== bytes.length) {
+    reader.fail("Trailing bytes after the data item.");
+  }
+  return value;
+}
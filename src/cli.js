@@ -0,0 +1,488 @@
+// `suite25519` command-line tool: key management, signing and encryption on top of
+// the public API. Reads keys and inputs from files (or stdin), writes to stdout or --out.
+// Exit codes follow the error classes (see EXIT_CODES), so scripts can tell a bad
+// signature from a wrong key or a corrupt file.
+import { readFile, writeFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { bytesToHex, hexToBytes } from "@noble/hashes/utils";
+import { decodePkcs8, decodeSpki, pemToDer } from "./keyformats.js";
+import {
+  ClaimValidationError,
+  DecodeError,
+  DecryptionError,
+  KeyMismatchError,
+  PrivateKey,
+  PublicKey,
+  RecipientBindingError,
+  SignatureInvalidError,
+  TypeValidationError,
+  X25519PrivateKey,
+  X25519PublicKey,
+  decryptAndVerifyMessage,
+  decryptMessage,
+  encryptMessage,
+  signAndEncryptMessage,
+  signMessage,
+  verifyMessage,
+} from "./suite25519.js";
+
+export const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1, // Unexpected failure (I/O errors included)
+  USAGE: 2, // Bad command line or TypeValidationError
+  DECODE: 3, // DecodeError: malformed key, payload or input encoding
+  DECRYPTION: 4, // DecryptionError: wrong key or AAD, tampered ciphertext
+  SIGNATURE: 5, // SignatureInvalidError
+  KEY_MISMATCH: 6, // KeyMismatchError: signed by someone else
+  CLAIM: 7, // ClaimValidationError
+  RECIPIENT_BINDING: 8, // RecipientBindingError: forwarded recipient-bound payload
+};
+
+// Most specific class first: the classes form a hierarchy
+const ERROR_EXIT_CODES = [
+  [ClaimValidationError, EXIT_CODES.CLAIM],
+  [RecipientBindingError, EXIT_CODES.RECIPIENT_BINDING],
+  [KeyMismatchError, EXIT_CODES.KEY_MISMATCH],
+  [SignatureInvalidError, EXIT_CODES.SIGNATURE],
+  [DecryptionError, EXIT_CODES.DECRYPTION],
+  [DecodeError, EXIT_CODES.DECODE],
+  [TypeValidationError, EXIT_CODES.USAGE],
+];
+
+const USAGE = `Usage: suite25519 <command> [options] [input]
+
+Commands:
+  keygen                 Generate an Ed25519 private key
+  pubkey   -k KEY        Print the public key of a private key
+  id       -k KEY | -p PUB [--address] [--hrp HRP]
+                         Print the key ID (or bech32m address) of a key
+  sign     -k KEY [--detached] [--embed-key] [--context CTX] [input]
+  verify   -p PUB | --trust-embedded [--message FILE] [--context CTX] [input]
+                         Print the verified message (nothing for detached payloads)
+  encrypt  -t PUB [-t PUB ...] [--aad AAD] [--aead NAME] [input]
+  decrypt  -k KEY [--aad AAD] [input]
+  sign-encrypt   -k KEY -t PUB [--bind] [--no-embed-key] [--aad AAD] [--aead NAME] [input]
+  decrypt-verify -k KEY -f PUB [--require-binding] [--aad AAD] [input]
+
+Input is a file path, or stdin when omitted or "-".
+Keys: PEM (PKCS#8 / SPKI), JWK, hex, Base64 or raw 32 bytes.
+
+Options:
+  -o, --out FILE             Write to FILE instead of stdout
+  -e, --encoding ENC         Output encoding: base64, hex or binary (keys also pem, jwk).
+                             Default: base64 for keys and payloads, binary for messages
+      --input-encoding ENC   Payload input: auto (default), base64, hex or binary
+  -h, --help                 Show this help
+
+Exit codes: 0 ok, 1 error, 2 usage, 3 decode, 4 decryption, 5 signature,
+  6 key mismatch, 7 claim validation, 8 forwarded recipient-bound payload.`;
+
+const OPTIONS = {
+  out: { type: "string", short: "o" },
+  encoding: { type: "string", short: "e" },
+  "input-encoding": { type: "string" },
+  help: { type: "boolean", short: "h" },
+  key: { type: "string", short: "k" },
+  pubkey: { type: "string", short: "p" },
+  to: { type: "string", short: "t", multiple: true },
+  from: { type: "string", short: "f" },
+  message: { type: "string", short: "m" },
+  context: { type: "string" },
+  aad: { type: "string" },
+  aead: { type: "string" },
+  detached: { type: "boolean" },
+  "embed-key": { type: "boolean" },
+  "no-embed-key": { type: "boolean" },
+  "trust-embedded": { type: "boolean" },
+  bind: { type: "boolean" },
+  "require-binding": { type: "boolean" },
+  address: { type: "boolean" },
+  hrp: { type: "string" },
+};
+
+// Options each command accepts, besides out / encoding / input-encoding / help
+const COMMAND_OPTIONS = {
+  keygen: [],
+  pubkey: ["key"],
+  id: ["key", "pubkey", "address", "hrp"],
+  sign: ["key", "detached", "embed-key", "context"],
+  verify: ["pubkey", "trust-embedded", "message", "context"],
+  encrypt: ["to", "aad", "aead"],
+  decrypt: ["key", "aad"],
+  "sign-encrypt": ["key", "to", "bind", "no-embed-key", "aad", "aead"],
+  "decrypt-verify": ["key", "from", "require-binding", "aad"],
+};
+
+class UsageError extends Error {}
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === "string" ? textEncoder.encode(chunk) : chunk);
+  }
+  const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+async function readInput(path, io) {
+  if (path === undefined || path === "-") return readStream(io.stdin);
+  return new Uint8Array(await readFile(path));
+}
+
+// Text content with surrounding whitespace removed, or null for binary data
+function asText(bytes) {
+  const text = textDecoder.decode(bytes).trim();
+  return /^[\x20-\x7e\s]*$/.test(text) ? text : null;
+}
+
+const isHex = (text) => text.length % 2 === 0 && /^[0-9a-fA-F]*$/.test(text);
+const isBase64 = (text) =>
+  text.length % 4 === 0 && /^[A-Za-z0-9+/]*={0,2}$/.test(text);
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  // Chunked: spreading a large payload into fromCharCode overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Decodes a payload given as base64 / hex text or raw bytes
+function decodeInput(bytes, encoding = "auto") {
+  if (encoding === "binary") return bytes;
+  const text = asText(bytes);
+  if (encoding === "hex" || (encoding === "auto" && text && isHex(text))) {
+    if (text === null || !isHex(text)) {
+      throw new DecodeError("Invalid input: Expected hex text.");
+    }
+    return hexToBytes(text);
+  }
+  if (
+    encoding === "base64" ||
+    (encoding === "auto" && text && isBase64(text))
+  ) {
+    if (text === null || !isBase64(text)) {
+      throw new DecodeError("Invalid input: Expected Base64 text.");
+    }
+    return base64ToBytes(text);
+  }
+  if (encoding === "auto") return bytes;
+  throw new UsageError(`Unsupported input encoding: ${encoding}.`);
+}
+
+// Raw 32 bytes from a hex / Base64 / binary key file
+function rawKeyBytes(bytes, what) {
+  const text = asText(bytes);
+  if (text !== null && text.length === 64 && isHex(text)) {
+    return hexToBytes(text);
+  }
+  if (text !== null && isBase64(text) && text.length === 44) {
+    return base64ToBytes(text);
+  }
+  if (bytes.length === 32) return bytes;
+  throw new DecodeError(
+    `Invalid ${what}: Expected PEM, JWK, hex, Base64 or 32 raw bytes.`,
+  );
+}
+
+function parseJwk(text, what) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new DecodeError(`Invalid ${what}: Malformed JWK.`, { cause: error });
+  }
+}
+
+// Ed25519 private key, or an X25519 private key (PEM / JWK only) for decryption
+async function readPrivateKey(path, io) {
+  if (path === undefined) throw new UsageError("Missing private key (--key).");
+  const bytes = await readInput(path, io);
+  const text = asText(bytes);
+  if (text?.startsWith("-----BEGIN")) {
+    const { algorithm } = decodePkcs8(pemToDer("PRIVATE KEY", text));
+    return algorithm === "X25519"
+      ? X25519PrivateKey.importPkcs8(text)
+      : PrivateKey.importPkcs8(text);
+  }
+  if (text?.startsWith("{")) {
+    const jwk = parseJwk(text, "private key");
+    return jwk.crv === "X25519"
+      ? X25519PrivateKey.importJwk(jwk)
+      : PrivateKey.importJwk(jwk);
+  }
+  return new PrivateKey(rawKeyBytes(bytes, "private key"));
+}
+
+// Ed25519 public key, or an X25519 public key (PEM / JWK only) as a recipient
+async function readPublicKey(path, io, option) {
+  if (path === undefined)
+    throw new UsageError(`Missing public key (${option}).`);
+  const bytes = await readInput(path, io);
+  const text = asText(bytes);
+  if (text?.startsWith("-----BEGIN")) {
+    const { algorithm } = decodeSpki(pemToDer("PUBLIC KEY", text));
+    return algorithm === "X25519"
+      ? X25519PublicKey.importSpki(text)
+      : PublicKey.importSpki(text);
+  }
+  if (text?.startsWith("{")) {
+    const jwk = parseJwk(text, "public key");
+    return jwk.crv === "X25519"
+      ? X25519PublicKey.importJwk(jwk)
+      : PublicKey.importJwk(jwk);
+  }
+  return new PublicKey(rawKeyBytes(bytes, "public key"));
+}
+
+function requireEd25519(key, option) {
+  if (!(key instanceof PrivateKey || key instanceof PublicKey)) {
+    throw new UsageError(`${option} must be an Ed25519 key for this command.`);
+  }
+  return key;
+}
+
+function encodeOutput(bytes, encoding) {
+  if (encoding === "binary") return bytes;
+  if (encoding === "hex") return textEncoder.encode(`${bytesToHex(bytes)}\n`);
+  if (encoding === "base64") {
+    return textEncoder.encode(`${bytesToBase64(bytes)}\n`);
+  }
+  throw new UsageError(`Unsupported encoding: ${encoding}.`);
+}
+
+// Keys additionally export as PEM or JWK
+function encodeKey(key, encoding) {
+  if (encoding === "pem") {
+    const pem =
+      key instanceof PrivateKey ? key.exportPkcs8() : key.exportSpki();
+    return textEncoder.encode(pem.endsWith("\n") ? pem : `${pem}\n`);
+  }
+  if (encoding === "jwk") {
+    return textEncoder.encode(`${JSON.stringify(key.exportJwk())}\n`);
+  }
+  return encodeOutput(key.toBinary(), encoding);
+}
+
+async function writeOutput(bytes, values, io) {
+  if (values.out === undefined || values.out === "-") {
+    io.stdout.write(bytes);
+  } else {
+    await writeFile(values.out, bytes);
+  }
+}
+
+const COMMANDS = {
+  async keygen(values) {
+    return encodeKey(
+      PrivateKey.randomPrivateKey(),
+      values.encoding ?? "base64",
+    );
+  },
+
+  async pubkey(values, input, io) {
+    const key = requireEd25519(await readPrivateKey(values.key, io), "--key");
+    return encodeKey(key.publicKey, values.encoding ?? "base64");
+  },
+
+  async id(values, input, io) {
+    if ((values.key === undefined) === (values.pubkey === undefined)) {
+      throw new UsageError("Give exactly one of --key and --pubkey.");
+    }
+    const key =
+      values.key === undefined
+        ? await readPublicKey(values.pubkey, io, "--pubkey")
+        : (await readPrivateKey(values.key, io)).publicKey;
+    requireEd25519(key, "The key");
+    const text = values.address
+      ? key.toAddress(values.hrp === undefined ? {} : { hrp: values.hrp })
+      : key.id;
+    return textEncoder.encode(`${text}\n`);
+  },
+
+  async sign(values, input, io) {
+    const key = requireEd25519(await readPrivateKey(values.key, io), "--key");
+    const payload = signMessage(
+      await readInput(input, io),
+      key,
+      !values.detached,
+      Boolean(values["embed-key"]),
+      { context: values.context },
+    );
+    return encodeOutput(payload, values.encoding ?? "base64");
+  },
+
+  async verify(values, input, io) {
+    if (values.pubkey === undefined && !values["trust-embedded"]) {
+      throw new UsageError("Give --pubkey or --trust-embedded.");
+    }
+    const senderPublicKey =
+      values.pubkey === undefined
+        ? null
+        : requireEd25519(
+            await readPublicKey(values.pubkey, io, "--pubkey"),
+            "--pubkey",
+          );
+    const payload = decodeInput(
+      await readInput(input, io),
+      values["input-encoding"],
+    );
+    const options = {
+      trustEmbeddedKey: Boolean(values["trust-embedded"]),
+      context: values.context,
+    };
+    if (values.message !== undefined) {
+      options.message = await readInput(values.message, io);
+    }
+    const message = verifyMessage(payload, senderPublicKey, options);
+    if (values.message !== undefined) return new Uint8Array(0);
+    return encodeOutput(message, values.encoding ?? "binary");
+  },
+
+  async encrypt(values, input, io) {
+    if (!values.to?.length) throw new UsageError("Missing recipient (--to).");
+    const recipients = await Promise.all(
+      values.to.map((path) => readPublicKey(path, io, "--to")),
+    );
+    const payload = encryptMessage(
+      await readInput(input, io),
+      recipients.length === 1 ? recipients[0] : recipients,
+      { aad: values.aad, aead: values.aead },
+    );
+    return encodeOutput(payload, values.encoding ?? "base64");
+  },
+
+  async decrypt(values, input, io) {
+    const key = await readPrivateKey(values.key, io);
+    const payload = decodeInput(
+      await readInput(input, io),
+      values["input-encoding"],
+    );
+    const message = decryptMessage(payload, key, { aad: values.aad });
+    return encodeOutput(message, values.encoding ?? "binary");
+  },
+
+  async "sign-encrypt"(values, input, io) {
+    const key = requireEd25519(await readPrivateKey(values.key, io), "--key");
+    if (!values.to?.length) throw new UsageError("Missing recipient (--to).");
+    const recipients = await Promise.all(
+      values.to.map((path) => readPublicKey(path, io, "--to")),
+    );
+    const payload = signAndEncryptMessage(
+      await readInput(input, io),
+      key,
+      recipients.length === 1 ? recipients[0] : recipients,
+      !values["no-embed-key"],
+      {
+        aad: values.aad,
+        aead: values.aead,
+        bindRecipient: Boolean(values.bind),
+      },
+    );
+    return encodeOutput(payload, values.encoding ?? "base64");
+  },
+
+  async "decrypt-verify"(values, input, io) {
+    const key = await readPrivateKey(values.key, io);
+    const sender = requireEd25519(
+      await readPublicKey(values.from, io, "--from"),
+      "--from",
+    );
+    const payload = decodeInput(
+      await readInput(input, io),
+      values["input-encoding"],
+    );
+    const message = decryptAndVerifyMessage(payload, key, sender, {
+      aad: values.aad,
+      requireRecipientBinding: Boolean(values["require-binding"]),
+    });
+    return encodeOutput(message, values.encoding ?? "binary");
+  },
+};
+
+function parseCommandLine(argv) {
+  const [command, ...rest] = argv;
+  if (command === undefined || command === "help" || command === "--help") {
+    return { help: true };
+  }
+  if (!COMMANDS.hasOwnProperty(command)) {
+    throw new UsageError(`Unknown command: ${command}.`);
+  }
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: OPTIONS,
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  const allowed = [
+    "out",
+    "encoding",
+    "input-encoding",
+    "help",
+    ...COMMAND_OPTIONS[command],
+  ];
+  const unexpected = Object.keys(values).find(
+    (name) => !allowed.includes(name),
+  );
+  if (unexpected !== undefined) {
+    throw new UsageError(
+      `Option --${unexpected} does not apply to ${command}.`,
+    );
+  }
+  if (positionals.length > 1) {
+    throw new UsageError("Expected at most one input.");
+  }
+  return { command, values, input: positionals[0], help: values.help };
+}
+
+function exitCodeFor(error) {
+  if (error instanceof UsageError) return EXIT_CODES.USAGE;
+  const match = ERROR_EXIT_CODES.find(
+    ([ErrorClass]) => error instanceof ErrorClass,
+  );
+  return match ? match[1] : EXIT_CODES.ERROR;
+}
+
+/**
+ * Runs the CLI.
+ * @param {string[]} argv - Arguments after the program name.
+ * @param {{stdin: AsyncIterable<Uint8Array | string>, stdout: {write(chunk: Uint8Array | string): void},
+ *   stderr: {write(chunk: string): void}}} io - Streams, e.g. `process`.
+ * @returns {Promise<number>} - The exit code (see EXIT_CODES).
+ */
+export async function run(argv, io) {
+  try {
+    const { command, values, input, help } = parseCommandLine(argv);
+    if (help) {
+      io.stdout.write(`${USAGE}\n`);
+      return EXIT_CODES.OK;
+    }
+    const output = await COMMANDS[command](values, input, io);
+    await writeOutput(output, values, io);
+    return EXIT_CODES.OK;
+  } catch (error) {
+    io.stderr.write(`suite25519: ${error?.message ?? error}\n`);
+    if (error instanceof UsageError) {
+      io.stderr.write(`Run "suite25519 help" for usage.\n`);
+    }
+    return exitCodeFor(error);
+  }
+}
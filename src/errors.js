@@ -0,0 +1,126 @@
+// Error classes shared by all modules. `code` values are stable across releases and
+// safe to branch on; messages are for humans and may change. Wrapped errors keep
+// the original failure in `cause`.
+
+export class Suite25519Error extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "Suite25519Error";
+    this.code = "SUITE25519_ERROR";
+  }
+}
+
+// Malformed or unsupported input data: payloads, envelopes, encoded keys, addresses
+export class DecodeError extends Suite25519Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "DecodeError";
+    this.code = "DECODE_ERROR";
+  }
+}
+
+// Authenticated decryption failed: wrong key, wrong associated data or tampered ciphertext
+export class DecryptionError extends Suite25519Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "DecryptionError";
+    this.code = "DECRYPTION_FAILED";
+  }
+}
+
+// A signature (or what it must cover: message, context, binding) did not verify
+export class SignatureInvalidError extends Suite25519Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "SignatureInvalidError";
+    this.code = "SIGNATURE_INVALID";
+  }
+}
+
+// A key does not match the key, identity or address the data was made for
+export class KeyMismatchError extends Suite25519Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "KeyMismatchError";
+    this.code = "KEY_MISMATCH";
+  }
+}
+
+/**
+ * Thrown by `Keyring.open` when the signer named by the payload is not in the
+ * keyring or is trusted below the required level. `signer` is that public key
+ * (the signature has not been checked).
+ */
+export class UntrustedSignerError extends KeyMismatchError {
+  constructor(signer, message, options) {
+    super(message, options);
+    this.name = "UntrustedSignerError";
+    this.code = "UNTRUSTED_SIGNER";
+    this.signer = signer;
+  }
+}
+
+/**
+ * Thrown when a recipient-bound (signcrypted) payload is opened by another
+ * recipient or under another envelope than it was signed for: it was forwarded.
+ */
+export class RecipientBindingError extends KeyMismatchError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "RecipientBindingError";
+    this.code = "RECIPIENT_BINDING";
+  }
+}
+
+// An argument or option has the wrong type or an invalid value
+export class TypeValidationError extends Suite25519Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "TypeValidationError";
+    this.code = "TYPE_VALIDATION";
+  }
+}
+
+/**
+ * Thrown by `PrivateKey.importEncrypted` when the password does not open the
+ * keystore (or the keystore was modified).
+ */
+export class InvalidPasswordError extends DecryptionError {
+  constructor(
+    message = "Invalid password: The keystore could not be decrypted.",
+    options,
+  ) {
+    super(message, options);
+    this.name = "InvalidPasswordError";
+    this.code = "INVALID_PASSWORD";
+  }
+}
+
+/**
+ * Thrown when a correctly signed payload fails a claim check.
+ * `code` is one of "EXPIRED", "NOT_YET_VALID", "ISSUED_IN_FUTURE",
+ * "AUDIENCE_MISMATCH", "NONCE_REQUIRED", "REPLAYED" or "REPLAY_CACHE_FULL".
+ */
+export class ClaimValidationError extends Suite25519Error {
+  constructor(code, message, options) {
+    super(message, options);
+    this.name = "ClaimValidationError";
+    this.code = code;
+  }
+}
+
+/**
+ * Re-creates `error` with a prefixed message and the original as `cause`.
+ * Errors from this library keep their class; anything else becomes `ErrorClass`.
+ * @param {string} prefix
+ * @param {unknown} error
+ * @param {typeof Suite25519Error} ErrorClass
+ * @returns {Suite25519Error}
+ */
+export function wrapError(prefix, error, ErrorClass) {
+  const Typed =
+    error instanceof Suite25519Error && !(error instanceof ClaimValidationError)
+      ? error.constructor
+      : ErrorClass;
+  return new Typed(`${prefix}: ${error?.message}`, { cause: error });
+}
@@ -0,0 +1,404 @@
+// RFC 9180 Hybrid Public Key Encryption
+// KEM: DHKEM(X25519, HKDF-SHA256), KDF: HKDF-SHA256,
+// AEAD: AES-128-GCM, AES-256-GCM, ChaCha20Poly1305 or export-only.
+import { x25519 } from "@noble/curves/ed25519";
+import { sha256 } from "@noble/hashes/sha256";
+import { extract, expand } from "@noble/hashes/hkdf";
+import { concatBytes, utf8ToBytes } from "@noble/hashes/utils";
+import { gcm } from "@noble/ciphers/aes";
+import { chacha20poly1305 } from "@noble/ciphers/chacha";
+import {
+  DecryptionError,
+  Suite25519Error,
+  TypeValidationError,
+} from "./errors.js";
+
+export const HPKE_MODE_BASE = 0x00;
+export const HPKE_MODE_PSK = 0x01;
+export const HPKE_MODE_AUTH = 0x02;
+export const HPKE_MODE_AUTH_PSK = 0x03;
+
+export const HPKE_KEM_X25519_HKDF_SHA256 = 0x0020;
+export const HPKE_KDF_HKDF_SHA256 = 0x0001;
+export const HPKE_AEAD_AES_128_GCM = 0x0001;
+export const HPKE_AEAD_AES_256_GCM = 0x0002;
+export const HPKE_AEAD_CHACHA20_POLY1305 = 0x0003;
+export const HPKE_AEAD_EXPORT_ONLY = 0xffff;
+
+// Nk: key length, Nn: nonce length (Nt is 16 for all of them)
+const AEADS = {
+  [HPKE_AEAD_AES_128_GCM]: { name: "AES-128-GCM", Nk: 16, Nn: 12, cipher: gcm },
+  [HPKE_AEAD_AES_256_GCM]: { name: "AES-256-GCM", Nk: 32, Nn: 12, cipher: gcm },
+  [HPKE_AEAD_CHACHA20_POLY1305]: {
+    name: "ChaCha20Poly1305",
+    Nk: 32,
+    Nn: 12,
+    cipher: chacha20poly1305,
+  },
+  [HPKE_AEAD_EXPORT_ONLY]: { name: "Export-only", Nk: 0, Nn: 0, cipher: null },
+};
+
+const N_SECRET = 32; // Nsecret of DHKEM(X25519, HKDF-SHA256)
+const N_H = 32; // Nh of HKDF-SHA256
+const N_PK = 32; // Npk of X25519
+const EMPTY = new Uint8Array(0);
+const HPKE_V1 = utf8ToBytes("HPKE-v1");
+
+function i2osp(value, length) {
+  const out = new Uint8Array(length);
+  for (let i = length - 1, v = value; i >= 0; i--, v = Math.floor(v / 256)) {
+    out[i] = v & 0xff;
+  }
+  return out;
+}
+
+const KEM_SUITE_ID = concatBytes(
+  utf8ToBytes("KEM"),
+  i2osp(HPKE_KEM_X25519_HKDF_SHA256, 2),
+);
+
+function labeledExtract(suiteId, salt, label, ikm) {
+  const labeledIkm = concatBytes(HPKE_V1, suiteId, utf8ToBytes(label), ikm);
+  return extract(sha256, labeledIkm, salt);
+}
+
+function labeledExpand(suiteId, prk, label, info, length) {
+  const labeledInfo = concatBytes(
+    i2osp(length, 2),
+    HPKE_V1,
+    suiteId,
+    utf8ToBytes(label),
+    info,
+  );
+  return expand(sha256, prk, labeledInfo, length);
+}
+
+function assertBytes(name, value, length) {
+  if (!(value instanceof Uint8Array)) {
+    throw new TypeValidationError(`HPKE: ${name} must be a Uint8Array.`);
+  }
+  if (length !== undefined && value.length !== length) {
+    throw new TypeValidationError(
+      `HPKE: ${name} must be ${length} bytes, got ${value.length}.`,
+    );
+  }
+}
+
+function getAead(aeadId) {
+  const aead = AEADS.hasOwnProperty(aeadId) ? AEADS[aeadId] : undefined;
+  if (!aead) {
+    throw new TypeValidationError(
+      `HPKE: Unsupported AEAD identifier ${aeadId}.`,
+    );
+  }
+  return aead;
+}
+
+// --- DHKEM(X25519, HKDF-SHA256) ---
+
+function dh(privateKey, publicKey) {
+  // noble rejects all-zero (low-order) shared secrets as required by RFC 9180 7.1.4
+  return x25519.getSharedSecret(privateKey, publicKey);
+}
+
+function extractAndExpand(dhOutput, kemContext) {
+  const eaePrk = labeledExtract(KEM_SUITE_ID, EMPTY, "eae_prk", dhOutput);
+  return labeledExpand(
+    KEM_SUITE_ID,
+    eaePrk,
+    "shared_secret",
+    kemContext,
+    N_SECRET,
+  );
+}
+
+/**
+ * DeriveKeyPair(ikm) for DHKEM(X25519, HKDF-SHA256).
+ * @param {Uint8Array} ikm - Input keying material (at least 32 bytes recommended).
+ * @returns {{privateKey: Uint8Array, publicKey: Uint8Array}} - X25519 key pair.
+ */
+export function deriveKeyPair(ikm) {
+  assertBytes("ikm", ikm);
+  const dkpPrk = labeledExtract(KEM_SUITE_ID, EMPTY, "dkp_prk", ikm);
+  const privateKey = labeledExpand(KEM_SUITE_ID, dkpPrk, "sk", EMPTY, 32);
+  return { privateKey, publicKey: x25519.getPublicKey(privateKey) };
+}
+
+function encap(recipientPublicKey, senderPrivateKey, ephemeralPrivateKey) {
+  const skE = ephemeralPrivateKey ?? x25519.utils.randomPrivateKey();
+  const enc = x25519.getPublicKey(skE);
+  let dhOutput = dh(skE, recipientPublicKey);
+  let kemContext = concatBytes(enc, recipientPublicKey);
+  if (senderPrivateKey) {
+    // AuthEncap
+    dhOutput = concatBytes(dhOutput, dh(senderPrivateKey, recipientPublicKey));
+    kemContext = concatBytes(kemContext, x25519.getPublicKey(senderPrivateKey));
+  }
+  return { sharedSecret: extractAndExpand(dhOutput, kemContext), enc };
+}
+
+function decap(enc, recipientPrivateKey, senderPublicKey) {
+  let dhOutput = dh(recipientPrivateKey, enc);
+  let kemContext = concatBytes(enc, x25519.getPublicKey(recipientPrivateKey));
+  if (senderPublicKey) {
+    // AuthDecap
+    dhOutput = concatBytes(dhOutput, dh(recipientPrivateKey, senderPublicKey));
+    kemContext = concatBytes(kemContext, senderPublicKey);
+  }
+  return extractAndExpand(dhOutput, kemContext);
+}
+
+// --- Key Schedule ---
+
+function verifyPskInputs(mode, psk, pskId) {
+  const gotPsk = psk.length > 0;
+  const gotPskId = pskId.length > 0;
+  if (gotPsk !== gotPskId) {
+    throw new TypeValidationError(
+      "HPKE: Inconsistent PSK inputs (psk and pskId).",
+    );
+  }
+  const needsPsk = mode === HPKE_MODE_PSK || mode === HPKE_MODE_AUTH_PSK;
+  if (gotPsk && !needsPsk) {
+    throw new TypeValidationError("HPKE: PSK input provided when not needed.");
+  }
+  if (!gotPsk && needsPsk) {
+    throw new TypeValidationError("HPKE: Missing required PSK input.");
+  }
+}
+
+function keySchedule(mode, aeadId, sharedSecret, info, psk, pskId) {
+  verifyPskInputs(mode, psk, pskId);
+  const aead = getAead(aeadId);
+  const suiteId = concatBytes(
+    utf8ToBytes("HPKE"),
+    i2osp(HPKE_KEM_X25519_HKDF_SHA256, 2),
+    i2osp(HPKE_KDF_HKDF_SHA256, 2),
+    i2osp(aeadId, 2),
+  );
+
+  const pskIdHash = labeledExtract(suiteId, EMPTY, "psk_id_hash", pskId);
+  const infoHash = labeledExtract(suiteId, EMPTY, "info_hash", info);
+  const keyScheduleContext = concatBytes(
+    new Uint8Array([mode]),
+    pskIdHash,
+    infoHash,
+  );
+
+  const secret = labeledExtract(suiteId, sharedSecret, "secret", psk);
+  const key = labeledExpand(
+    suiteId,
+    secret,
+    "key",
+    keyScheduleContext,
+    aead.Nk,
+  );
+  const baseNonce = labeledExpand(
+    suiteId,
+    secret,
+    "base_nonce",
+    keyScheduleContext,
+    aead.Nn,
+  );
+  const exporterSecret = labeledExpand(
+    suiteId,
+    secret,
+    "exp",
+    keyScheduleContext,
+    N_H,
+  );
+  return new HpkeContext(suiteId, aead, key, baseNonce, exporterSecret);
+}
+
+// Encryption context returned by setupSender/setupRecipient
+export class HpkeContext {
+  constructor(suiteId, aead, key, baseNonce, exporterSecret) {
+    this.suiteId = suiteId;
+    this.aead = aead;
+    this.key = key;
+    this.baseNonce = baseNonce;
+    this.exporterSecret = exporterSecret;
+    this.seq = 0;
+  }
+
+  computeNonce() {
+    if (this.seq >= Number.MAX_SAFE_INTEGER) {
+      throw new Suite25519Error("HPKE: Message limit reached.");
+    }
+    const seqBytes = i2osp(this.seq, this.aead.Nn);
+    return this.baseNonce.map((byte, i) => byte ^ seqBytes[i]);
+  }
+
+  assertCanEncrypt() {
+    if (!this.aead.cipher) {
+      throw new Suite25519Error(
+        "HPKE: Export-only context cannot seal or open.",
+      );
+    }
+  }
+
+  // Encrypts with the next sequence number
+  seal(plaintext, aad = EMPTY) {
+    this.assertCanEncrypt();
+    assertBytes("plaintext", plaintext);
+    assertBytes("aad", aad);
+    const ciphertext = this.aead
+      .cipher(this.key, this.computeNonce(), aad)
+      .encrypt(plaintext);
+    this.seq++;
+    return ciphertext;
+  }
+
+  // Decrypts with the next sequence number; the counter only advances on success
+  open(ciphertext, aad = EMPTY) {
+    this.assertCanEncrypt();
+    assertBytes("ciphertext", ciphertext);
+    assertBytes("aad", aad);
+    let plaintext;
+    try {
+      plaintext = this.aead
+        .cipher(this.key, this.computeNonce(), aad)
+        .decrypt(ciphertext);
+    } catch (error) {
+      throw new DecryptionError(
+        "HPKE: Decryption failed (authentication tag mismatch).",
+        { cause: error },
+      );
+    }
+    this.seq++;
+    return plaintext;
+  }
+
+  // Secret export interface (RFC 9180 5.3)
+  export(exporterContext, length) {
+    assertBytes("exporterContext", exporterContext);
+    if (!Number.isInteger(length) || length < 0 || length > 255 * N_H) {
+      throw new TypeValidationError("HPKE: Invalid export length.");
+    }
+    return labeledExpand(
+      this.suiteId,
+      this.exporterSecret,
+      "sec",
+      exporterContext,
+      length,
+    );
+  }
+}
+
+function normalizeModeInputs({
+  mode = HPKE_MODE_BASE,
+  aeadId = HPKE_AEAD_AES_128_GCM,
+  info = EMPTY,
+  psk = EMPTY,
+  pskId = EMPTY,
+}) {
+  if (![0, 1, 2, 3].includes(mode)) {
+    throw new TypeValidationError(`HPKE: Unsupported mode ${mode}.`);
+  }
+  assertBytes("info", info);
+  assertBytes("psk", psk);
+  assertBytes("pskId", pskId);
+  return { mode, aeadId, info, psk, pskId };
+}
+
+const isAuthMode = (mode) =>
+  mode === HPKE_MODE_AUTH || mode === HPKE_MODE_AUTH_PSK;
+
+/**
+ * Sets up a sender context (SetupBaseS / SetupPSKS / SetupAuthS / SetupAuthPSKS).
+ * @param {object} params
+ * @param {Uint8Array} params.recipientPublicKey - Recipient X25519 public key (pkR).
+ * @param {number} [params.mode=HPKE_MODE_BASE] - One of the HPKE_MODE_* constants.
+ * @param {number} [params.aeadId=HPKE_AEAD_AES_128_GCM] - One of the HPKE_AEAD_* constants.
+ * @param {Uint8Array} [params.info] - Application-supplied context information.
+ * @param {Uint8Array} [params.psk] - Pre-shared key (PSK modes).
+ * @param {Uint8Array} [params.pskId] - Pre-shared key identifier (PSK modes).
+ * @param {Uint8Array} [params.senderPrivateKey] - Sender X25519 private key (skS, Auth modes).
+ * @param {Uint8Array} [params.ephemeralPrivateKey] - Fixed ephemeral key (skE); only for test vectors.
+ * @returns {{enc: Uint8Array, context: HpkeContext}} - Encapsulated key and sender context.
+ */
+export function setupSender(params) {
+  const { mode, aeadId, info, psk, pskId } = normalizeModeInputs(params);
+  const { recipientPublicKey, senderPrivateKey, ephemeralPrivateKey } = params;
+  assertBytes("recipientPublicKey", recipientPublicKey, N_PK);
+  if (isAuthMode(mode)) {
+    assertBytes("senderPrivateKey", senderPrivateKey, 32);
+  } else if (senderPrivateKey !== undefined) {
+    throw new TypeValidationError(
+      "HPKE: senderPrivateKey is only used in Auth modes.",
+    );
+  }
+  if (ephemeralPrivateKey !== undefined) {
+    assertBytes("ephemeralPrivateKey", ephemeralPrivateKey, 32);
+  }
+
+  const { sharedSecret, enc } = encap(
+    recipientPublicKey,
+    isAuthMode(mode) ? senderPrivateKey : undefined,
+    ephemeralPrivateKey,
+  );
+  const context = keySchedule(mode, aeadId, sharedSecret, info, psk, pskId);
+  return { enc, context };
+}
+
+/**
+ * Sets up a recipient context (SetupBaseR / SetupPSKR / SetupAuthR / SetupAuthPSKR).
+ * @param {object} params
+ * @param {Uint8Array} params.enc - Encapsulated key from the sender.
+ * @param {Uint8Array} params.recipientPrivateKey - Recipient X25519 private key (skR).
+ * @param {number} [params.mode=HPKE_MODE_BASE] - One of the HPKE_MODE_* constants.
+ * @param {number} [params.aeadId=HPKE_AEAD_AES_128_GCM] - One of the HPKE_AEAD_* constants.
+ * @param {Uint8Array} [params.info] - Application-supplied context information.
+ * @param {Uint8Array} [params.psk] - Pre-shared key (PSK modes).
+ * @param {Uint8Array} [params.pskId] - Pre-shared key identifier (PSK modes).
+ * @param {Uint8Array} [params.senderPublicKey] - Sender X25519 public key (pkS, Auth modes).
+ * @returns {HpkeContext} - Recipient context.
+ */
+export function setupRecipient(params) {
+  const { mode, aeadId, info, psk, pskId } = normalizeModeInputs(params);
+  const { enc, recipientPrivateKey, senderPublicKey } = params;
+  assertBytes("enc", enc, N_PK);
+  assertBytes("recipientPrivateKey", recipientPrivateKey, 32);
+  if (isAuthMode(mode)) {
+    assertBytes("senderPublicKey", senderPublicKey, N_PK);
+  } else if (senderPublicKey !== undefined) {
+    throw new TypeValidationError(
+      "HPKE: senderPublicKey is only used in Auth modes.",
+    );
+  }
+
+  const sharedSecret = decap(
+    enc,
+    recipientPrivateKey,
+    isAuthMode(mode) ? senderPublicKey : undefined,
+  );
+  return keySchedule(mode, aeadId, sharedSecret, info, psk, pskId);
+}
+
+/**
+ * Single-shot encryption: setupSender followed by one seal.
+ * @param {object} params - As for setupSender.
+ * @param {Uint8Array} plaintext - Data to encrypt.
+ * @param {Uint8Array} [aad] - Associated data.
+ * @returns {{enc: Uint8Array, ciphertext: Uint8Array}}
+ */
+export function seal(params, plaintext, aad = EMPTY) {
+  const { enc, context } = setupSender(params);
+  return { enc, ciphertext: context.seal(plaintext, aad) };
+}
+
+/**
+ * Single-shot decryption: setupRecipient followed by one open.
+ * @param {object} params - As for setupRecipient.
+ * @param {Uint8Array} ciphertext - Data to decrypt.
+ * @param {Uint8Array} [aad] - Associated data.
+ * @returns {Uint8Array} - Plaintext.
+ */
+export function open(params, ciphertext, aad = EMPTY) {
+  return setupRecipient(params).open(ciphertext, aad);
+}
+
+// Human-readable AEAD name, used in envelope suite IDs
+export function aeadName(aeadId) {
+  return getAead(aeadId).name;
+}
@@ -0,0 +1,258 @@
+// DER / PEM encodings of RFC 8410 keys: PKCS#8 (OneAsymmetricKey) private keys
+// and SubjectPublicKeyInfo public keys for Ed25519 and X25519.
+import { DecodeError, TypeValidationError } from "./errors.js";
+
+// Algorithm name -> DER-encoded object identifier body (1.3.101.112 / 1.3.101.110)
+const OIDS = {
+  Ed25519: Uint8Array.of(0x2b, 0x65, 0x70),
+  X25519: Uint8Array.of(0x2b, 0x65, 0x6e),
+};
+
+const KEY_LENGTH = 32;
+
+const TAG_INTEGER = 0x02;
+const TAG_BIT_STRING = 0x03;
+const TAG_OCTET_STRING = 0x04;
+const TAG_OID = 0x06;
+const TAG_SEQUENCE = 0x30;
+const TAG_ATTRIBUTES = 0xa0; // [0] IMPLICIT, constructed
+const TAG_PUBLIC_KEY = 0x81; // [1] IMPLICIT BIT STRING, primitive
+
+function concat(...parts) {
+  const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+// Encodes a TLV; every structure here is shorter than 128 bytes
+function tlv(tag, value) {
+  return concat(Uint8Array.of(tag, value.length), value);
+}
+
+function algorithmIdentifier(algorithm) {
+  if (!OIDS.hasOwnProperty(algorithm)) {
+    throw new TypeValidationError(`Unsupported key algorithm: ${algorithm}.`);
+  }
+  return tlv(TAG_SEQUENCE, tlv(TAG_OID, OIDS[algorithm]));
+}
+
+function checkKeyLength(key, what) {
+  if (!(key instanceof Uint8Array) || key.length !== KEY_LENGTH) {
+    throw new TypeValidationError(
+      `Invalid ${what}: Expected ${KEY_LENGTH} bytes, got ${key?.length ?? typeof key}.`,
+    );
+  }
+}
+
+// Decoded key material of the wrong length is malformed input, not a bad argument
+function checkDecodedKeyLength(reader, key, what) {
+  if (key.length !== KEY_LENGTH) {
+    reader.fail(
+      `Expected a ${KEY_LENGTH}-byte ${what}, got ${key.length} bytes.`,
+    );
+  }
+}
+
+// Minimal DER reader: definite lengths, minimal length encoding
+class DerReader {
+  constructor(bytes, what) {
+    this.bytes = bytes;
+    this.offset = 0;
+    this.what = what;
+  }
+
+  fail(reason) {
+    throw new DecodeError(`Invalid ${this.what}: ${reason}`);
+  }
+
+  get done() {
+    return this.offset === this.bytes.length;
+  }
+
+  peekTag() {
+    return this.bytes[this.offset];
+  }
+
+  read(expectedTag) {
+    const { bytes } = this;
+    if (this.offset + 2 > bytes.length) this.fail("Truncated DER.");
+    const tag = bytes[this.offset++];
+    if (tag !== expectedTag) {
+      this.fail(
+        `Expected DER tag 0x${expectedTag.toString(16)}, got 0x${tag.toString(16)}.`,
+      );
+    }
+    let length = bytes[this.offset++];
+    if (length & 0x80) {
+      const count = length & 0x7f;
+      if (count === 0 || count > 2 || this.offset + count > bytes.length) {
+        this.fail("Unsupported DER length.");
+      }
+      length = 0;
+      for (let i = 0; i < count; i++) {
+        length = length * 256 + bytes[this.offset++];
+      }
+      if (length < 0x80 || (count === 2 && length < 0x100)) {
+        this.fail("Non-minimal DER length.");
+      }
+    }
+    if (this.offset + length > bytes.length) this.fail("Truncated DER.");
+    const value = bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+
+  end() {
+    if (!this.done) this.fail("Unexpected trailing data.");
+  }
+}
+
+function readAlgorithm(reader) {
+  const inner = new DerReader(reader.read(TAG_SEQUENCE), reader.what);
+  const oid = inner.read(TAG_OID);
+  // RFC 8410: parameters MUST be absent
+  inner.end();
+  const algorithm = Object.keys(OIDS).find(
+    (name) =>
+      OIDS[name].length === oid.length &&
+      OIDS[name].every((byte, i) => byte === oid[i]),
+  );
+  if (!algorithm) reader.fail("Unsupported key algorithm OID.");
+  return algorithm;
+}
+
+function readBitString(reader, value) {
+  if (value.length < 1 || value[0] !== 0) reader.fail("Malformed BIT STRING.");
+  return value.subarray(1);
+}
+
+/**
+ * Encodes a 32-byte private key as PKCS#8 (RFC 8410, version 1) DER.
+ * @param {"Ed25519" | "X25519"} algorithm - Key algorithm.
+ * @param {Uint8Array} privateKey - Raw private key (Ed25519 seed or X25519 scalar).
+ * @returns {Uint8Array} - DER bytes.
+ */
+export function encodePkcs8(algorithm, privateKey) {
+  checkKeyLength(privateKey, `${algorithm} private key`);
+  return tlv(
+    TAG_SEQUENCE,
+    concat(
+      tlv(TAG_INTEGER, Uint8Array.of(0)),
+      algorithmIdentifier(algorithm),
+      tlv(TAG_OCTET_STRING, tlv(TAG_OCTET_STRING, privateKey)),
+    ),
+  );
+}
+
+/**
+ * Decodes PKCS#8 DER (version 1, or version 2 with an embedded public key).
+ * @param {Uint8Array} der - DER bytes.
+ * @returns {{algorithm: string, privateKey: Uint8Array, publicKey?: Uint8Array}}
+ */
+export function decodePkcs8(der) {
+  const outer = new DerReader(der, "PKCS#8 key");
+  const reader = new DerReader(outer.read(TAG_SEQUENCE), outer.what);
+  outer.end();
+  const version = reader.read(TAG_INTEGER);
+  if (version.length !== 1 || version[0] > 1) {
+    reader.fail("Unsupported version.");
+  }
+  const algorithm = readAlgorithm(reader);
+  const wrapped = new DerReader(reader.read(TAG_OCTET_STRING), reader.what);
+  const privateKey = wrapped.read(TAG_OCTET_STRING);
+  wrapped.end();
+  checkDecodedKeyLength(reader, privateKey, `${algorithm} private key`);
+  if (!reader.done && reader.peekTag() === TAG_ATTRIBUTES) {
+    reader.read(TAG_ATTRIBUTES);
+  }
+  let publicKey;
+  if (!reader.done && version[0] === 1) {
+    publicKey = readBitString(reader, reader.read(TAG_PUBLIC_KEY));
+    checkDecodedKeyLength(reader, publicKey, `${algorithm} public key`);
+  }
+  reader.end();
+  return publicKey
+    ? {
+        algorithm,
+        privateKey: privateKey.slice(),
+        publicKey: publicKey.slice(),
+      }
+    : { algorithm, privateKey: privateKey.slice() };
+}
+
+/**
+ * Encodes a 32-byte public key as SubjectPublicKeyInfo DER.
+ * @param {"Ed25519" | "X25519"} algorithm - Key algorithm.
+ * @param {Uint8Array} publicKey - Raw public key.
+ * @returns {Uint8Array} - DER bytes.
+ */
+export function encodeSpki(algorithm, publicKey) {
+  checkKeyLength(publicKey, `${algorithm} public key`);
+  return tlv(
+    TAG_SEQUENCE,
+    concat(
+      algorithmIdentifier(algorithm),
+      tlv(TAG_BIT_STRING, concat(Uint8Array.of(0), publicKey)),
+    ),
+  );
+}
+
+/**
+ * Decodes SubjectPublicKeyInfo DER.
+ * @param {Uint8Array} der - DER bytes.
+ * @returns {{algorithm: string, publicKey: Uint8Array}}
+ */
+export function decodeSpki(der) {
+  const outer = new DerReader(der, "SubjectPublicKeyInfo");
+  const reader = new DerReader(outer.read(TAG_SEQUENCE), outer.what);
+  outer.end();
+  const algorithm = readAlgorithm(reader);
+  const publicKey = readBitString(reader, reader.read(TAG_BIT_STRING));
+  reader.end();
+  checkDecodedKeyLength(reader, publicKey, `${algorithm} public key`);
+  return { algorithm, publicKey: publicKey.slice() };
+}
+
+/**
+ * Wraps DER bytes in a PEM block.
+ * @param {string} label - e.g. "PRIVATE KEY" or "PUBLIC KEY".
+ * @param {Uint8Array} der - DER bytes.
+ * @returns {string} - PEM text with 64-character lines.
+ */
+export function derToPem(label, der) {
+  let binaryString = "";
+  der.forEach((byte) => {
+    binaryString += String.fromCharCode(byte);
+  });
+  const lines = btoa(binaryString).match(/.{1,64}/g);
+  return `-----BEGIN ${label}-----\n${lines.join("\n")}\n-----END ${label}-----\n`;
+}
+
+/**
+ * Extracts the DER bytes of the single PEM block with the given label.
+ * @param {string} label - Expected label.
+ * @param {string} pem - PEM text.
+ * @returns {Uint8Array} - DER bytes.
+ */
+export function pemToDer(label, pem) {
+  if (typeof pem !== "string") {
+    throw new DecodeError(`Invalid PEM: Expected a string.`);
+  }
+  const match = new RegExp(
+    `^\\s*-----BEGIN ${label}-----([A-Za-z0-9+/=\\s]*)-----END ${label}-----\\s*$`,
+  ).exec(pem);
+  if (!match) {
+    throw new DecodeError(`Invalid PEM: Expected a single "${label}" block.`);
+  }
+  try {
+    return Uint8Array.from(atob(match[1].replace(/\s+/g, "")), (c) =>
+      c.charCodeAt(0),
+    );
+  } catch (e) {
+    throw new DecodeError(`Invalid PEM: ${e.message}`, { cause: e });
+  }
+}
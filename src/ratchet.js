@@ -0,0 +1,291 @@
+// Double Ratchet (Signal specification, revision 1) over X25519 / HKDF-SHA256 / HMAC-SHA256.
+// Message keys expand to an AES-256-GCM-SIV key and nonce; every message key is used once.
+// Skipped message keys are bounded per step (maxSkip) and in total (maxSkippedKeys, oldest evicted).
+import { x25519 } from "@noble/curves/ed25519";
+import { sha256 } from "@noble/hashes/sha256";
+import { hkdf } from "@noble/hashes/hkdf";
+import { hmac } from "@noble/hashes/hmac";
+import { bytesToHex, concatBytes, utf8ToBytes } from "@noble/hashes/utils";
+import { siv } from "@noble/ciphers/aes";
+import { equalBytes } from "@noble/ciphers/utils";
+import {
+  DecodeError,
+  DecryptionError,
+  Suite25519Error,
+  TypeValidationError,
+} from "./errors.js";
+
+export const DEFAULT_MAX_SKIP = 1000;
+export const DEFAULT_MAX_SKIPPED_KEYS = 2000;
+
+const ROOT_INFO = utf8ToBytes("suite25519-ratchet-root");
+const MESSAGE_INFO = utf8ToBytes("suite25519-ratchet-message");
+const CHAIN_MESSAGE_KEY = Uint8Array.of(0x01);
+const CHAIN_NEXT_KEY = Uint8Array.of(0x02);
+const KEY_LENGTH = 32;
+const NONCE_LENGTH = 12;
+
+// KDF_RK: new root key and chain key from the root key and a DH output
+function kdfRoot(rootKey, dhOutput) {
+  const out = hkdf(sha256, dhOutput, rootKey, ROOT_INFO, 2 * KEY_LENGTH);
+  return [out.slice(0, KEY_LENGTH), out.slice(KEY_LENGTH)];
+}
+
+// KDF_CK: next chain key and message key
+function kdfChain(chainKey) {
+  return [
+    hmac(sha256, chainKey, CHAIN_NEXT_KEY),
+    hmac(sha256, chainKey, CHAIN_MESSAGE_KEY),
+  ];
+}
+
+function messageCipher(messageKey, associatedData) {
+  const out = hkdf(
+    sha256,
+    messageKey,
+    undefined,
+    MESSAGE_INFO,
+    KEY_LENGTH + NONCE_LENGTH,
+  );
+  return siv(
+    out.subarray(0, KEY_LENGTH),
+    out.subarray(KEY_LENGTH),
+    associatedData,
+  );
+}
+
+function u32(value) {
+  const out = new Uint8Array(4);
+  new DataView(out.buffer).setUint32(0, value);
+  return out;
+}
+
+// Header bytes authenticated with every message: dh || pn || n
+function headerBytes({ dh, pn, n }) {
+  return concatBytes(dh, u32(pn), u32(n));
+}
+
+function diffieHellman(privateKey, publicKey) {
+  try {
+    return x25519.getSharedSecret(privateKey, publicKey);
+  } catch (error) {
+    throw new DecodeError(`Invalid ratchet public key: ${error?.message}`, {
+      cause: error,
+    });
+  }
+}
+
+function generateKeyPair() {
+  const privateKey = x25519.utils.randomPrivateKey();
+  return { privateKey, publicKey: x25519.getPublicKey(privateKey) };
+}
+
+function tryDecrypt(messageKey, ciphertext, ad) {
+  try {
+    return messageCipher(messageKey, ad).decrypt(ciphertext);
+  } catch (error) {
+    throw new DecryptionError(
+      "Decryption failed (authentication tag mismatch or other error)",
+      { cause: error },
+    );
+  }
+}
+
+const skippedId = (dh, n) => `${bytesToHex(dh)}:${n}`;
+
+export class DoubleRatchet {
+  // Use DoubleRatchet.initSender / initReceiver / fromState rather than the constructor
+  constructor(state, options = {}) {
+    this.dhs = state.dhs; // { privateKey, publicKey } sending ratchet key pair
+    this.dhr = state.dhr; // remote ratchet public key (null until the first message arrives)
+    this.rk = state.rk;
+    this.cks = state.cks;
+    this.ckr = state.ckr;
+    this.ns = state.ns;
+    this.nr = state.nr;
+    this.pn = state.pn;
+    this.skipped = new Map(state.skipped); // skippedId -> message key, oldest first
+    this.maxSkip = options.maxSkip ?? state.maxSkip ?? DEFAULT_MAX_SKIP;
+    this.maxSkippedKeys =
+      options.maxSkippedKeys ??
+      state.maxSkippedKeys ??
+      DEFAULT_MAX_SKIPPED_KEYS;
+    for (const [name, value] of [
+      ["maxSkip", this.maxSkip],
+      ["maxSkippedKeys", this.maxSkippedKeys],
+    ]) {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new TypeValidationError(
+          `Invalid ratchet option: ${name} must be a non-negative integer.`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Initializes the party that sends first (Alice).
+   * @param {Uint8Array} sharedSecret - 32-byte secret agreed out of band (e.g. X3DH).
+   * @param {Uint8Array} remotePublicKey - The responder's X25519 ratchet public key.
+   * @param {object} [options] - { maxSkip, maxSkippedKeys }
+   * @returns {DoubleRatchet}
+   */
+  static initSender(sharedSecret, remotePublicKey, options = {}) {
+    const dhs = generateKeyPair();
+    const [rk, cks] = kdfRoot(
+      sharedSecret,
+      diffieHellman(dhs.privateKey, remotePublicKey),
+    );
+    return new DoubleRatchet(
+      { dhs, dhr: remotePublicKey, rk, cks, ckr: null, ns: 0, nr: 0, pn: 0 },
+      options,
+    );
+  }
+
+  /**
+   * Initializes the responder (Bob) with the key pair Alice ratchets against.
+   * @param {Uint8Array} sharedSecret - The same 32-byte secret.
+   * @param {{privateKey: Uint8Array, publicKey: Uint8Array}} keyPair - X25519 ratchet key pair.
+   * @param {object} [options] - { maxSkip, maxSkippedKeys }
+   * @returns {DoubleRatchet}
+   */
+  static initReceiver(sharedSecret, keyPair, options = {}) {
+    return new DoubleRatchet(
+      {
+        dhs: keyPair,
+        dhr: null,
+        rk: sharedSecret,
+        cks: null,
+        ckr: null,
+        ns: 0,
+        nr: 0,
+        pn: 0,
+      },
+      options,
+    );
+  }
+
+  // Restores a ratchet from toState() output
+  static fromState(state, options = {}) {
+    return new DoubleRatchet(state, options);
+  }
+
+  // Plain snapshot (byte arrays and numbers) for serialization; contains secret keys
+  toState() {
+    return {
+      dhs: { privateKey: this.dhs.privateKey, publicKey: this.dhs.publicKey },
+      dhr: this.dhr,
+      rk: this.rk,
+      cks: this.cks,
+      ckr: this.ckr,
+      ns: this.ns,
+      nr: this.nr,
+      pn: this.pn,
+      skipped: [...this.skipped],
+      maxSkip: this.maxSkip,
+      maxSkippedKeys: this.maxSkippedKeys,
+    };
+  }
+
+  /**
+   * Encrypts the next message.
+   * @param {Uint8Array} plaintext
+   * @param {Uint8Array} associatedData - Authenticated with the header (e.g. both identities).
+   * @returns {{header: {dh: Uint8Array, pn: number, n: number}, ciphertext: Uint8Array}}
+   */
+  encrypt(plaintext, associatedData) {
+    if (this.cks === null) {
+      throw new Suite25519Error(
+        "Ratchet cannot send yet: Waiting for the first message from the initiator.",
+      );
+    }
+    const [cks, messageKey] = kdfChain(this.cks);
+    const header = { dh: this.dhs.publicKey, pn: this.pn, n: this.ns };
+    this.cks = cks;
+    this.ns += 1;
+    const ad = concatBytes(associatedData, headerBytes(header));
+    return {
+      header,
+      ciphertext: messageCipher(messageKey, ad).encrypt(plaintext),
+    };
+  }
+
+  /**
+   * Decrypts a message, handling out-of-order delivery. The state only changes on success.
+   * @param {{dh: Uint8Array, pn: number, n: number}} header
+   * @param {Uint8Array} ciphertext
+   * @param {Uint8Array} associatedData
+   * @returns {Uint8Array} - Plaintext.
+   * @throws {DecryptionError} If authentication fails, the message was already received, or too many keys would be skipped.
+   */
+  decrypt(header, ciphertext, associatedData) {
+    const ad = concatBytes(associatedData, headerBytes(header));
+    const id = skippedId(header.dh, header.n);
+    if (this.skipped.has(id)) {
+      const plaintext = tryDecrypt(this.skipped.get(id), ciphertext, ad);
+      this.skipped.delete(id);
+      return plaintext;
+    }
+
+    // Work on a copy so a forged or corrupt message cannot advance the ratchet
+    const next = DoubleRatchet.fromState(this.toState());
+    if (next.dhr === null || !equalBytes(header.dh, next.dhr)) {
+      if (next.ckr !== null) next.skipMessageKeys(header.pn);
+      next.dhRatchet(header);
+    }
+    // An initiator has no receiving chain until the first reply ratchets one in
+    if (next.ckr === null) {
+      throw new DecryptionError(
+        "Decryption failed: No receiving chain for this ratchet key.",
+      );
+    }
+    next.skipMessageKeys(header.n);
+    const [ckr, messageKey] = kdfChain(next.ckr);
+    next.ckr = ckr;
+    next.nr += 1;
+    const plaintext = tryDecrypt(messageKey, ciphertext, ad);
+    Object.assign(this, next);
+    return plaintext;
+  }
+
+  // Stores the keys of messages n_r..until-1 of the current receiving chain
+  skipMessageKeys(until) {
+    if (until < this.nr) {
+      throw new DecryptionError(
+        "Decryption failed: Message already received or its key was discarded.",
+      );
+    }
+    if (until - this.nr > this.maxSkip) {
+      throw new DecryptionError(
+        `Decryption failed: Message skips ${until - this.nr} keys (maximum ${this.maxSkip}).`,
+      );
+    }
+    while (this.nr < until) {
+      const [ckr, messageKey] = kdfChain(this.ckr);
+      this.skipped.set(skippedId(this.dhr, this.nr), messageKey);
+      this.ckr = ckr;
+      this.nr += 1;
+    }
+    // Evict the oldest keys beyond the total bound
+    for (const id of this.skipped.keys()) {
+      if (this.skipped.size <= this.maxSkippedKeys) break;
+      this.skipped.delete(id);
+    }
+  }
+
+  // DH ratchet step on a new remote ratchet key: new receiving chain, then new sending chain
+  dhRatchet(header) {
+    this.pn = this.ns;
+    this.ns = 0;
+    this.nr = 0;
+    this.dhr = header.dh;
+    [this.rk, this.ckr] = kdfRoot(
+      this.rk,
+      diffieHellman(this.dhs.privateKey, this.dhr),
+    );
+    this.dhs = generateKeyPair();
+    [this.rk, this.cks] = kdfRoot(
+      this.rk,
+      diffieHellman(this.dhs.privateKey, this.dhr),
+    );
+  }
+}
@@ -0,0 +1,79 @@
+// Shamir secret sharing over GF(2^8) (AES field, polynomial x^8 + x^4 + x^3 + x + 1).
+// Each byte of the secret is the constant term of its own random polynomial of
+// degree threshold - 1; share x holds the evaluations at x (1..255).
+import { randomBytes } from "@noble/hashes/utils";
+import { TypeValidationError } from "./errors.js";
+
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+(() => {
+  // 3 generates the multiplicative group of GF(256)
+  let value = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = EXP[i + 255] = value;
+    LOG[value] = i;
+    value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+  }
+})();
+
+const mul = (a, b) => (a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]]);
+const div = (a, b) => (a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]]);
+
+/**
+ * Splits a secret into `count` shares, any `threshold` of which recover it.
+ * @param {Uint8Array} secret - The secret bytes.
+ * @param {number} threshold - Shares needed to recover (2..count).
+ * @param {number} count - Shares to create (threshold..255).
+ * @returns {{x: number, y: Uint8Array}[]} - Shares with x = 1..count.
+ */
+export function splitSecret(secret, threshold, count) {
+  if (
+    !Number.isInteger(threshold) ||
+    !Number.isInteger(count) ||
+    threshold < 2 ||
+    threshold > count ||
+    count > 255
+  ) {
+    throw new TypeValidationError(
+      "Invalid sharing parameters: Expected 2 <= threshold <= shares <= 255.",
+    );
+  }
+  // coefficients[j] holds the degree-(j + 1) coefficients for every secret byte
+  const coefficients = Array.from({ length: threshold - 1 }, () =>
+    randomBytes(secret.length),
+  );
+  return Array.from({ length: count }, (_, i) => {
+    const x = i + 1;
+    const y = new Uint8Array(secret.length);
+    for (let b = 0; b < secret.length; b++) {
+      // Horner's rule from the highest coefficient down to the secret
+      let acc = 0;
+      for (let j = coefficients.length - 1; j >= 0; j--) {
+        acc = mul(acc, x) ^ coefficients[j][b];
+      }
+      y[b] = mul(acc, x) ^ secret[b];
+    }
+    return { x, y };
+  });
+}
+
+/**
+ * Recovers the secret from shares by Lagrange interpolation at x = 0.
+ * @param {{x: number, y: Uint8Array}[]} shares - Distinct shares of equal length.
+ * @returns {Uint8Array} - The secret.
+ */
+export function combineSecret(shares) {
+  const length = shares[0].y.length;
+  const secret = new Uint8Array(length);
+  shares.forEach(({ x: xi, y }, i) => {
+    // Lagrange basis polynomial l_i(0) = prod_{j != i} x_j / (x_j - x_i); subtraction is XOR
+    let basis = 1;
+    shares.forEach(({ x: xj }, j) => {
+      if (j !== i) basis = mul(basis, div(xj, xj ^ xi));
+    });
+    for (let b = 0; b < length; b++) {
+      secret[b] ^= mul(basis, y[b]);
+    }
+  });
+  return secret;
+}
@@ -0,0 +1,84 @@
+// SLIP-0010 hierarchical deterministic key derivation for Ed25519.
+// Ed25519 only supports hardened derivation, so every path segment must be hardened.
+import { hmac } from "@noble/hashes/hmac";
+import { sha512 } from "@noble/hashes/sha512";
+import { TypeValidationError } from "./errors.js";
+
+const ED25519_SEED_KEY = new TextEncoder().encode("ed25519 seed");
+const HARDENED_OFFSET = 0x80000000;
+
+/**
+ * Parses a derivation path such as "m/44'/0'/0'" into hardened child indexes.
+ * Both ' and H/h are accepted as the hardened marker.
+ * @param {string} path - The derivation path.
+ * @returns {number[]} - Child indexes including the hardened offset.
+ */
+export function parsePath(path) {
+  if (typeof path !== "string") {
+    throw new TypeValidationError(
+      `Invalid derivation path: Expected a string.`,
+    );
+  }
+  const [root, ...segments] = path.split("/");
+  if (root !== "m") {
+    throw new TypeValidationError(
+      `Invalid derivation path "${path}": Must start with "m".`,
+    );
+  }
+  return segments.map((segment) => {
+    const match = /^(\d+)['hH]$/.exec(segment);
+    if (!match) {
+      throw new TypeValidationError(
+        `Invalid derivation path "${path}": Segment "${segment}" is not hardened (Ed25519 supports hardened derivation only).`,
+      );
+    }
+    const index = Number(match[1]);
+    if (index >= HARDENED_OFFSET) {
+      throw new TypeValidationError(
+        `Invalid derivation path "${path}": Index ${index} out of range.`,
+      );
+    }
+    return index + HARDENED_OFFSET;
+  });
+}
+
+function split(digest) {
+  return { key: digest.slice(0, 32), chainCode: digest.slice(32) };
+}
+
+/**
+ * Derives the master node from a seed.
+ * @param {Uint8Array} seed - 16 to 64 bytes (a BIP-39 seed is 64 bytes).
+ * @returns {{key: Uint8Array, chainCode: Uint8Array}} - 32-byte private key and chain code.
+ */
+export function masterKeyFromSeed(seed) {
+  if (!(seed instanceof Uint8Array) || seed.length < 16 || seed.length > 64) {
+    throw new TypeValidationError(
+      "Invalid seed: Expected a Uint8Array of 16 to 64 bytes.",
+    );
+  }
+  return split(hmac(sha512, ED25519_SEED_KEY, seed));
+}
+
+/**
+ * Derives a hardened child node.
+ * @param {{key: Uint8Array, chainCode: Uint8Array}} parent - Parent node.
+ * @param {number} index - Child index including the hardened offset.
+ * @returns {{key: Uint8Array, chainCode: Uint8Array}} - Child node.
+ */
+export function deriveChild({ key, chainCode }, index) {
+  const data = new Uint8Array(37); // 0x00 || key || ser32(index)
+  data.set(key, 1);
+  new DataView(data.buffer).setUint32(33, index);
+  return split(hmac(sha512, chainCode, data));
+}
+
+/**
+ * Derives the node at `path` from a seed.
+ * @param {Uint8Array} seed - The seed.
+ * @param {string} path - Hardened derivation path, e.g. "m/44'/0'/0'".
+ * @returns {{key: Uint8Array, chainCode: Uint8Array}} - Derived node.
+ */
+export function derivePath(seed, path) {
+  return parsePath(path).reduce(deriveChild, masterKeyFromSeed(seed));
+}
@@ -1,16 +1,82 @@
 import {
   ed25519,
+  ed25519ctx,
+  ed25519ph,
   x25519,
   edwardsToMontgomeryPub,
   edwardsToMontgomeryPriv,
 } from "@noble/curves/ed25519";
+import { twistedEdwards } from "@noble/curves/abstract/edwards";
 import { ripemd160 } from "@noble/hashes/ripemd160";
+import { scrypt } from "@noble/hashes/scrypt";
 import { sha256 } from "@noble/hashes/sha256";
+import { sha512 } from "@noble/hashes/sha512";
+import { argon2id } from "@noble/hashes/argon2";
 import { hkdf } from "@noble/hashes/hkdf";
-import { bytesToHex } from "@noble/hashes/utils"; // Only import what exists
+import { hmac } from "@noble/hashes/hmac";
+import { bytesToHex, hexToBytes } from "@noble/hashes/utils";
+import { equalBytes } from "@noble/ciphers/utils";
 import { siv } from "@noble/ciphers/aes";
+import { xchacha20poly1305 } from "@noble/ciphers/chacha";
 import { randomBytes } from "@noble/ciphers/webcrypto";
-import { decode, encode } from "cbor-x"; // Assuming cbor2 is browser-compatible like cbor-x
+import * as bip39 from "@scure/bip39";
+import { wordlist as englishWordlist } from "@scure/bip39/wordlists/english";
+import { Address } from "./address.js";
+import { verifyEd25519Batch } from "./batch.js";
+import {
+  decode,
+  DEFAULT_MAX_DEPTH,
+  DEFAULT_MAX_SIZE,
+  encode,
+  Tag,
+} from "./cbor.js";
+import * as hpke from "./hpke.js";
+import {
+  decodePkcs8,
+  decodeSpki,
+  derToPem,
+  encodePkcs8,
+  encodeSpki,
+  pemToDer,
+} from "./keyformats.js";
+import { DoubleRatchet } from "./ratchet.js";
+import { combineSecret, splitSecret } from "./shamir.js";
+import {
+  ClaimValidationError,
+  DecodeError,
+  DecryptionError,
+  InvalidPasswordError,
+  KeyMismatchError,
+  RecipientBindingError,
+  SignatureInvalidError,
+  Suite25519Error,
+  TypeValidationError,
+  UntrustedSignerError,
+  wrapError,
+} from "./errors.js";
+import { derivePath } from "./slip10.js";
+import {
+  nativeEd25519Sign,
+  nativeEd25519Verify,
+  nativeReport,
+  nativeX25519,
+  nativeX25519Ephemeral,
+  setNativePreference,
+} from "./webcrypto.js";
+
+export { Address };
+export {
+  ClaimValidationError,
+  DecodeError,
+  DecryptionError,
+  InvalidPasswordError,
+  KeyMismatchError,
+  RecipientBindingError,
+  SignatureInvalidError,
+  Suite25519Error,
+  TypeValidationError,
+  UntrustedSignerError,
+};
 
 // --- Helper Functions ---
 
@@ -30,7 +96,10 @@ function bytesToBase64(bytes) {
   try {
     return btoa(binaryString);
   } catch (e) {
-    throw new Error(`Failed to encode bytes to base64: ${e.message}`);
+    throw new TypeValidationError(
+      `Failed to encode bytes to base64: ${e.message}`,
+      { cause: e },
+    );
   }
 }
 
@@ -47,8 +116,25 @@ function base64ToBytes(base64) {
     return Uint8Array.from(binString, (m) => m.codePointAt(0));
   } catch (e) {
     // Handle potential errors like invalid characters in base64 string
-    throw new Error(`Failed to decode base64 string: ${e.message}`);
+    throw new DecodeError(`Failed to decode base64 string: ${e.message}`, {
+      cause: e,
+    });
+  }
+}
+
+// Base64url without padding (RFC 4648 section 5), as used by JWK
+function bytesToBase64Url(bytes) {
+  return bytesToBase64(bytes)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function base64UrlToBytes(base64Url) {
+  if (!/^[A-Za-z0-9_-]*$/.test(base64Url)) {
+    throw new DecodeError("is not unpadded base64url.");
   }
+  return base64ToBytes(base64Url.replace(/-/g, "+").replace(/_/g, "/"));
 }
 
 const assertType = (variableObj, expectedType) => {
@@ -58,110 +144,830 @@ const assertType = (variableObj, expectedType) => {
 
   if (expectedType === "string") {
     if (actualType !== "string") {
-      throw new Error(
+      throw new TypeValidationError(
         `${variableName} [${actualType}] is not an instance of [string].`,
       );
     }
   } else if (expectedType === "boolean") {
     if (actualType !== "boolean") {
-      throw new Error(
+      throw new TypeValidationError(
         `${variableName} [${actualType}] is not an instance of [boolean].`,
       );
     }
   } else if (expectedType === Uint8Array) {
     if (!(variable instanceof Uint8Array)) {
-      throw new Error(
+      throw new TypeValidationError(
         `${variableName} [${constructorName || actualType}] is not an instance of [Uint8Array].`,
       );
     }
   } else {
     // Assuming expectedType is a Class constructor
     if (!(variable instanceof expectedType)) {
-      throw new Error(
+      throw new TypeValidationError(
         `${variableName} [${constructorName || actualType}] is not an instance of [${expectedType.name}].`,
       );
     }
   }
 };
 
+// Converts an optional string / Uint8Array option to bytes (empty when absent)
+const optionBytes = (variableObj) => {
+  const [variableName, variable] = Object.entries(variableObj)[0];
+  if (variable === undefined || variable === null) return new Uint8Array(0);
+  if (typeof variable === "string") return new TextEncoder().encode(variable);
+  assertType({ [variableName]: variable }, Uint8Array);
+  return variable;
+};
+
+// --- Logging ---
+
+// Diagnostic details (e.g. the underlying error of a failed verification) go to an
+// injected logger; nothing is logged unless setLogger() installs one.
+let logger = null;
+
+const logDebug = (...details) => logger?.debug?.(...details);
+
+/**
+ * Installs a logger for diagnostic details. Errors are reported to callers as typed
+ * exceptions (or `false` results) either way; the library never logs by default.
+ * @param {{debug?: function(...*): void} | null} newLogger - Any object with a `debug` method
+ *   (e.g. `console`), or null to silence logging again.
+ */
+export const setLogger = (newLogger) => {
+  if (
+    newLogger !== null &&
+    (typeof newLogger !== "object" || typeof newLogger.debug !== "function")
+  ) {
+    throw new TypeValidationError(
+      "Invalid logger: Expected an object with a debug method, or null.",
+    );
+  }
+  logger = newLogger;
+};
+
+// --- Envelope Format ---
+
+// Every payload is wrapped as CBOR tag ENVELOPE_TAG around
+// { v: version, t: payload type, s: suite ID, a: algorithm parameters, b: body }.
+// Untagged maps are the legacy 1.0.x format ({sig, m, P} / {C, P_e, N}).
+// Payloads are written as deterministic CBOR and read back strictly: the envelope
+// must be canonical and its body must match the suite's schema exactly.
+const ENVELOPE_TAG = 0x25519;
+const ENVELOPE_VERSION = 1;
+
+const PAYLOAD_TYPE_NAMES = {
+  sig: "signed",
+  enc: "encrypted",
+  stream: "stream header",
+  key: "encrypted keystore",
+  share: "key share",
+  msig: "multisig",
+  prekey: "prekey bundle",
+  ratchet: "ratchet message",
+  session: "ratchet session",
+  sym: "secret-key encrypted",
+};
+
+const ECIES_SUITE = "ECIES-X25519-HKDF-SHA256-AES-256-GCM-SIV";
+const ECIES_XCHACHA_SUITE = "ECIES-X25519-HKDF-SHA256-XCHACHA20-POLY1305";
+const SECRET_KEY_GCM_SIV_SUITE = "SECRETKEY-HKDF-SHA256-AES-256-GCM-SIV";
+const SECRET_KEY_XCHACHA_SUITE = "SECRETKEY-HKDF-SHA256-XCHACHA20-POLY1305";
+const STREAM_SUITE = "STREAM-X25519-HKDF-SHA256-AES-256-GCM-SIV";
+const KEYSTORE_SCRYPT_SUITE = "KEYSTORE-SCRYPT-AES-256-GCM-SIV";
+const KEYSTORE_ARGON2ID_SUITE = "KEYSTORE-ARGON2ID-AES-256-GCM-SIV";
+const SHAMIR_SUITE = "SHAMIR-GF256";
+const MULTISIG_SUITE = "MULTISIG-Ed25519";
+const X3DH_PREKEY_SUITE = "X3DH-X25519-Ed25519";
+const RATCHET_SUITE = "DR-X25519-HKDF-SHA256-AES-256-GCM-SIV";
+const RATCHET_SESSION_SUITE = "DR-SESSION";
+
+// HPKE suite ID -> RFC 9180 AEAD identifier
+const HPKE_SUITES = Object.fromEntries(
+  [
+    hpke.HPKE_AEAD_AES_128_GCM,
+    hpke.HPKE_AEAD_AES_256_GCM,
+    hpke.HPKE_AEAD_CHACHA20_POLY1305,
+  ].map((aeadId) => [`HPKE-X25519-SHA256-${hpke.aeadName(aeadId)}`, aeadId]),
+);
+
+// Body schemas: field -> CBOR kind ("bytes", "uint", "text" or "bool", "| null" if
+// nullable), a nested schema for maps, [schema] for arrays of it and [kind, kind]
+// for fixed-length arrays. Fields marked "?" are optional; unlisted fields are rejected.
+const SIGNED_BODY = {
+  sig: "bytes",
+  "m?": "bytes",
+  "P?": "bytes",
+  "c?": "bytes",
+  "h?": "bytes",
+  "R?": "bytes",
+  "E?": "bytes",
+};
+const ECIES_BODY = {
+  C: "bytes",
+  N: "bytes",
+  "P_e?": "bytes",
+  "R?": [{ C: "bytes", P_e: "bytes", N: "bytes" }],
+};
+const SECRET_KEY_BODY = { N: "bytes", C: "bytes" };
+const X3DH_HEADER = { I: "bytes", E: "bytes", K: "bytes" };
+const keystoreBody = (k) => ({ k, S: "bytes", N: "bytes", C: "bytes" });
+
+// Suite ID -> payload type, the exact algorithm parameters it implies and its body schema
+const SUITES = {
+  Ed25519: { t: "sig", b: SIGNED_BODY },
+  Ed25519ctx: { t: "sig", b: SIGNED_BODY },
+  Ed25519ph: { t: "sig", b: SIGNED_BODY },
+  [ECIES_SUITE]: {
+    t: "enc",
+    a: { kdf: "HKDF-SHA256", aead: "AES-256-GCM-SIV" },
+    b: ECIES_BODY,
+  },
+  [ECIES_XCHACHA_SUITE]: {
+    t: "enc",
+    a: { kdf: "HKDF-SHA256", aead: "XChaCha20-Poly1305" },
+    b: ECIES_BODY,
+  },
+  [SECRET_KEY_GCM_SIV_SUITE]: {
+    t: "sym",
+    a: { kdf: "HKDF-SHA256", aead: "AES-256-GCM-SIV" },
+    b: SECRET_KEY_BODY,
+  },
+  [SECRET_KEY_XCHACHA_SUITE]: {
+    t: "sym",
+    a: { kdf: "HKDF-SHA256", aead: "XChaCha20-Poly1305" },
+    b: SECRET_KEY_BODY,
+  },
+  [STREAM_SUITE]: {
+    t: "stream",
+    a: { kdf: "HKDF-SHA256", aead: "AES-256-GCM-SIV" },
+    b: { P_e: "bytes", N: "bytes", S: "uint" },
+  },
+  [SHAMIR_SUITE]: {
+    t: "share",
+    b: {
+      i: "bytes",
+      x: "uint",
+      k: "uint",
+      n: "uint",
+      y: "bytes",
+      f: "bytes",
+      s: "bytes",
+    },
+  },
+  [MULTISIG_SUITE]: {
+    t: "msig",
+    b: { m: "bytes", S: [{ P: "bytes", sig: "bytes" }] },
+  },
+  [X3DH_PREKEY_SUITE]: {
+    t: "prekey",
+    b: { I: "bytes", K: "bytes", sig: "bytes" },
+  },
+  [RATCHET_SUITE]: {
+    t: "ratchet",
+    a: { kdf: "HKDF-SHA256", aead: "AES-256-GCM-SIV" },
+    b: { D: "bytes", pn: "uint", n: "uint", C: "bytes", "X?": X3DH_HEADER },
+  },
+  [RATCHET_SESSION_SUITE]: {
+    t: "session",
+    b: {
+      I: "bytes",
+      ad: "bytes",
+      X: X3DH_HEADER,
+      pending: "bool",
+      r: {
+        dhs: { privateKey: "bytes", publicKey: "bytes" },
+        dhr: "bytes | null",
+        rk: "bytes",
+        cks: "bytes | null",
+        ckr: "bytes | null",
+        ns: "uint",
+        nr: "uint",
+        pn: "uint",
+        skipped: [["text", "bytes"]],
+        maxSkip: "uint",
+        maxSkippedKeys: "uint",
+      },
+    },
+  },
+  [KEYSTORE_SCRYPT_SUITE]: {
+    t: "key",
+    a: { kdf: "scrypt", aead: "AES-256-GCM-SIV" },
+    b: keystoreBody({ N: "uint", r: "uint", p: "uint" }),
+  },
+  [KEYSTORE_ARGON2ID_SUITE]: {
+    t: "key",
+    a: { kdf: "Argon2id", aead: "AES-256-GCM-SIV" },
+    b: keystoreBody({ t: "uint", m: "uint", p: "uint" }),
+  },
+  ...Object.fromEntries(
+    Object.entries(HPKE_SUITES).map(([suite, aeadId]) => [
+      suite,
+      {
+        t: "enc",
+        a: {
+          kem: "DHKEM(X25519, HKDF-SHA256)",
+          kdf: "HKDF-SHA256",
+          aead: hpke.aeadName(aeadId),
+        },
+        b: { enc: "bytes", ct: "bytes", md: "uint" },
+      },
+    ]),
+  ),
+};
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+function sameParams(actual, expected) {
+  if (expected === undefined) return actual === undefined;
+  if (!isPlainObject(actual)) return false;
+  const keys = Object.keys(expected);
+  return (
+    Object.keys(actual).length === keys.length &&
+    keys.every((key) => actual[key] === expected[key])
+  );
+}
+
+const ENVELOPE_FIELDS = ["v", "t", "s", "a", "b"];
+
+const SCHEMA_KINDS = {
+  bytes: ["a byte string", (value) => value instanceof Uint8Array],
+  uint: [
+    "an unsigned integer",
+    (value) => Number.isSafeInteger(value) && value >= 0,
+  ],
+  text: ["a text string", (value) => typeof value === "string"],
+  bool: ["a boolean", (value) => typeof value === "boolean"],
+};
+
+// Returns the first way `value` departs from `schema`, or undefined if it matches
+function schemaProblem(value, schema, path) {
+  if (typeof schema === "string") {
+    const [kind, nullable] = schema.split(" | ");
+    const [description, matches] = SCHEMA_KINDS[kind];
+    if ((value === null && nullable === "null") || matches(value)) {
+      return undefined;
+    }
+    return `Field '${path}' is not ${description}`;
+  }
+  if (Array.isArray(schema)) {
+    if (!Array.isArray(value)) return `Field '${path}' is not an array`;
+    if (schema.length > 1 && value.length !== schema.length) {
+      return `Field '${path}' must have ${schema.length} elements`;
+    }
+    for (let i = 0; i < value.length; i++) {
+      const itemSchema = schema.length > 1 ? schema[i] : schema[0];
+      const problem = schemaProblem(value[i], itemSchema, `${path}[${i}]`);
+      if (problem) return problem;
+    }
+    return undefined;
+  }
+  if (!isPlainObject(value)) return `Field '${path}' is not a map`;
+  const at = (name) => (path ? `${path}.${name}` : name);
+  const fields = new Map(
+    Object.entries(schema).map(([key, kind]) => [
+      key.replace(/\?$/, ""),
+      { kind, optional: key.endsWith("?") },
+    ]),
+  );
+  const unknown = Object.keys(value).find((name) => !fields.has(name));
+  if (unknown !== undefined) return `Unknown field '${at(unknown)}'`;
+  for (const [name, { kind, optional }] of fields) {
+    if (!Object.prototype.hasOwnProperty.call(value, name)) {
+      if (optional) continue;
+      return `Missing field '${at(name)}'`;
+    }
+    const problem = schemaProblem(value[name], kind, at(name));
+    if (problem) return problem;
+  }
+  return undefined;
+}
+
+// Bounds for decoding untrusted payloads; see setDecodeLimits
+let decodeLimits = { maxSize: DEFAULT_MAX_SIZE, maxDepth: DEFAULT_MAX_DEPTH };
+
+/**
+ * Sets the bounds applied when decoding payloads. Larger or deeper input fails with a
+ * DecodeError before any cryptography runs. Omitted limits are reset to their defaults.
+ * @param {object} [limits]
+ * @param {number} [limits.maxSize=67108864] - Largest payload in bytes (64 MiB); use the streaming API for bulk data.
+ * @param {number} [limits.maxDepth=16] - Deepest nesting of CBOR arrays, maps and tags.
+ */
+export const setDecodeLimits = (limits = {}) => {
+  const { maxSize = DEFAULT_MAX_SIZE, maxDepth = DEFAULT_MAX_DEPTH } = limits;
+  for (const [name, value] of [
+    ["maxSize", maxSize],
+    ["maxDepth", maxDepth],
+  ]) {
+    if (!Number.isSafeInteger(value) || value < 1) {
+      throw new TypeValidationError(
+        `Invalid decode limit: ${name} must be a positive integer.`,
+      );
+    }
+  }
+  decodeLimits = { maxSize, maxDepth };
+};
+
+function sealEnvelope(suite, body) {
+  const { t, a } = SUITES[suite];
+  const envelope = { v: ENVELOPE_VERSION, t, s: suite };
+  if (a) envelope.a = a;
+  envelope.b = body;
+  return encode(new Tag(envelope, ENVELOPE_TAG));
+}
+
+// Maps a legacy 1.0.x body to its payload type and suite
+function classifyLegacy(decoded) {
+  if (isPlainObject(decoded)) {
+    if ("sig" in decoded) return { t: "sig", s: "Ed25519" };
+    if ("C" in decoded) return { t: "enc", s: ECIES_SUITE };
+  }
+  return { t: undefined, s: undefined };
+}
+
+/**
+ * Decodes a versioned envelope (or a legacy 1.0.x payload) and checks its type.
+ * @param {Uint8Array} payload - CBOR-encoded payload.
+ * @param {string} [expectedType] - Required payload type ("sig", "enc" or "stream").
+ * @returns {{version: number, type: string, suite: string, params: object | undefined, body: object}} - version is 0 for legacy payloads.
+ */
+function openEnvelope(payload, expectedType) {
+  let decoded;
+  try {
+    // Envelopes must be canonical; untagged maps are read as 1.0.x wrote them
+    decoded = decode(payload, {
+      ...decodeLimits,
+      tags: [ENVELOPE_TAG],
+      legacy: payload[0] >> 5 === 5,
+    });
+  } catch (error) {
+    throw new DecodeError(
+      `Invalid payload: CBOR decoding failed (${error?.message}).`,
+      { cause: error },
+    );
+  }
+
+  let opened;
+  if (decoded instanceof Tag) {
+    if (decoded.tag !== ENVELOPE_TAG || !isPlainObject(decoded.value)) {
+      throw new DecodeError(
+        `Invalid payload: Unknown CBOR tag ${decoded.tag}.`,
+      );
+    }
+    const unknown = Object.keys(decoded.value).find(
+      (name) => !ENVELOPE_FIELDS.includes(name),
+    );
+    if (unknown !== undefined) {
+      throw new DecodeError(`Invalid envelope: Unknown field '${unknown}'.`);
+    }
+    const { v, t, s, a, b } = decoded.value;
+    if (v !== ENVELOPE_VERSION) {
+      throw new DecodeError(`Unsupported envelope version: ${v}.`);
+    }
+    const suite = SUITES.hasOwnProperty(s) ? SUITES[s] : undefined;
+    if (!suite) {
+      throw new DecodeError(`Unsupported suite: ${s}.`);
+    }
+    if (suite.t !== t || !sameParams(a, suite.a)) {
+      throw new DecodeError(
+        `Invalid envelope: Type or parameters do not match suite ${s}.`,
+      );
+    }
+    if (!isPlainObject(b)) {
+      throw new DecodeError("Invalid envelope: Missing body.");
+    }
+    opened = { version: v, type: t, suite: s, params: a, body: b };
+  } else {
+    const { t, s } = classifyLegacy(decoded);
+    if (!t) {
+      throw new DecodeError("Invalid payload: Unrecognized payload structure.");
+    }
+    opened = {
+      version: 0,
+      type: t,
+      suite: s,
+      params: SUITES[s].a,
+      body: decoded,
+    };
+  }
+
+  if (expectedType && opened.type !== expectedType) {
+    throw new DecodeError(
+      `Payload type mismatch: Expected ${PAYLOAD_TYPE_NAMES[expectedType]} payload, got ${PAYLOAD_TYPE_NAMES[opened.type]} payload.`,
+    );
+  }
+  const problem = schemaProblem(opened.body, SUITES[opened.suite].b, "");
+  if (problem) {
+    throw new DecodeError(
+      `Invalid ${PAYLOAD_TYPE_NAMES[opened.type]} payload: ${problem}.`,
+    );
+  }
+  return opened;
+}
+
 // --- ECIES Core Logic ---
 
-// Use HKDF-SHA256 to derive AES key (32 bytes)
-function deriveAesKey(sharedSecret) {
+// Selectable ECIES AEADs. The suite ID in the envelope records the choice, so
+// decryption picks the cipher automatically. `info` separates the HKDF keys per cipher.
+const ECIES_AEADS = {
+  "AES-256-GCM-SIV": {
+    suite: ECIES_SUITE,
+    cipher: siv,
+    nonceLength: 12,
+    info: "suite25519-aes-key",
+  },
+  "XChaCha20-Poly1305": {
+    suite: ECIES_XCHACHA_SUITE,
+    cipher: xchacha20poly1305,
+    nonceLength: 24,
+    info: "suite25519-xchacha20poly1305-key",
+  },
+};
+const DEFAULT_ECIES_AEAD = "AES-256-GCM-SIV";
+
+// AEAD for the `aead` option of the encryption functions
+function eciesAead(name = DEFAULT_ECIES_AEAD) {
+  if (!ECIES_AEADS.hasOwnProperty(name)) {
+    throw new TypeValidationError(
+      `Unsupported AEAD: ${name} (expected ${Object.keys(ECIES_AEADS).join(" or ")}).`,
+    );
+  }
+  return ECIES_AEADS[name];
+}
+
+// AEAD recorded by an ECIES suite ID
+const eciesAeadForSuite = (suite) =>
+  Object.values(ECIES_AEADS).find((aead) => aead.suite === suite);
+
+// Use HKDF-SHA256 to derive the AEAD key (32 bytes)
+function deriveAeadKey(sharedSecret, aead) {
   // Salt should ideally be random per-encryption, but for simplicity using empty here.
   // Consider adding the ephemeral public key or nonce as salt/info if needed.
   // 'info' distinguishes the key's purpose.
-  const info = new TextEncoder().encode("suite25519-aes-key");
+  const info = new TextEncoder().encode(aead.info);
   return hkdf(sha256, sharedSecret, undefined, info, 32); // Derive 32 bytes (256 bits)
 }
 
-function eciesEncrypt(receiverPublicKeyEd, messageUint8Array) {
-  assertType({ receiverPublicKeyEd }, Uint8Array);
-  assertType({ messageUint8Array }, Uint8Array);
+function checkNonce(nonce, aead) {
+  if (nonce.length !== aead.nonceLength) {
+    throw new DecodeError(
+      `Invalid encrypted payload: Expected a ${aead.nonceLength}-byte nonce, got ${nonce.length}.`,
+    );
+  }
+}
+
+// AEAD step of eciesEncrypt once the X25519 shared secret is known
+function eciesSeal(
+  sharedSecret,
+  ephemeralPublicKeyX,
+  messageUint8Array,
+  aad,
+  aead,
+) {
+  const key = deriveAeadKey(sharedSecret, aead);
+
+  // Random nonce: 12 bytes for AES-GCM-SIV (nonce-misuse resistant),
+  // 24 bytes for XChaCha20-Poly1305 (large enough for random nonces)
+  const nonce = randomBytes(aead.nonceLength);
+  const ciphertext = aead.cipher(key, nonce, aad).encrypt(messageUint8Array);
+
+  // Return components as Uint8Arrays
+  return { C: ciphertext, P_e: ephemeralPublicKeyX, N: nonce };
+}
+
+// AEAD step of eciesDecrypt once the X25519 shared secret is known
+function eciesOpen(sharedSecret, nonce, ciphertext, aad, aead) {
+  const key = deriveAeadKey(sharedSecret, aead);
   try {
-    const receiverPublicKeyX = edwardsToMontgomeryPub(receiverPublicKeyEd);
+    return aead.cipher(key, nonce, aad).decrypt(ciphertext); // Returns Uint8Array
+  } catch (error) {
+    logDebug("AEAD decryption failed:", error);
+    throw new DecryptionError(
+      "Decryption failed (authentication tag mismatch or other error)",
+      { cause: error },
+    );
+  }
+}
 
-    const ephemeralPrivateKeyX = x25519.utils.randomPrivateKey();
+// Works on raw X25519 keys; Ed25519 keys are converted by the callers (see recipientPublicKeyX).
+// `aad` is authenticated but not encrypted; decryption must supply the same bytes.
+// options.ephemeralPrivateKeyX may be pre-generated when the caller must know P_e in advance;
+// options.aead is an ECIES_AEADS entry (default AES-256-GCM-SIV).
+function eciesEncrypt(
+  receiverPublicKeyX,
+  messageUint8Array,
+  aad,
+  {
+    ephemeralPrivateKeyX = x25519.utils.randomPrivateKey(),
+    aead = eciesAead(),
+  } = {},
+) {
+  assertType({ receiverPublicKeyX }, Uint8Array);
+  assertType({ messageUint8Array }, Uint8Array);
+  if (aad !== undefined) assertType({ aad }, Uint8Array);
+  try {
     const ephemeralPublicKeyX = x25519.getPublicKey(ephemeralPrivateKeyX);
 
     const sharedSecret = x25519.getSharedSecret(
       ephemeralPrivateKeyX,
       receiverPublicKeyX,
     );
-    const aesKey = deriveAesKey(sharedSecret);
-
-    // Generate a random nonce for AES-SIV
-    // 16 bytes is generally recommended for SIV nonces if used as such.
-    // If the second arg to siv() is *Associated Data*, 12 bytes might be fine.
-    // Let's stick to 16 for safety if treating as a nonce. Check noble docs if it's AD.
-    const nonce = randomBytes(12);
-
-    // Pass nonce as associated data/nonce based on noble/ciphers convention
-    // Assuming here it's used like a nonce or primary AD.
-    const aes = siv(aesKey, nonce);
-    const ciphertext = aes.encrypt(messageUint8Array);
-
-    // Return components as Uint8Arrays
-    return { C: ciphertext, P_e: ephemeralPublicKeyX, N: nonce };
+    return eciesSeal(
+      sharedSecret,
+      ephemeralPublicKeyX,
+      messageUint8Array,
+      aad,
+      aead,
+    );
   } catch (error) {
-    throw new Error(`eciesEncrypt failed: ${error?.message}`);
+    throw wrapError("eciesEncrypt failed", error, TypeValidationError);
   }
 }
 
 function eciesDecrypt(
-  receiverPrivateKeyEd,
+  receiverPrivateKeyX,
   ephemeralPublicKeyX,
   nonce,
   ciphertext,
+  aad,
+  aead = eciesAead(),
 ) {
-  assertType({ receiverPrivateKeyEd }, Uint8Array);
+  assertType({ receiverPrivateKeyX }, Uint8Array);
   assertType({ ephemeralPublicKeyX }, Uint8Array);
   assertType({ nonce }, Uint8Array);
   assertType({ ciphertext }, Uint8Array);
+  if (aad !== undefined) assertType({ aad }, Uint8Array);
+  checkNonce(nonce, aead);
   try {
-    const receiverPrivateKeyX = edwardsToMontgomeryPriv(receiverPrivateKeyEd);
     const sharedSecret = x25519.getSharedSecret(
       receiverPrivateKeyX,
       ephemeralPublicKeyX,
     );
-    const aesKey = deriveAesKey(sharedSecret);
+    return eciesOpen(sharedSecret, nonce, ciphertext, aad, aead);
+  } catch (error) {
+    // Catch errors from key conversion/derivation
+    throw wrapError("eciesDecrypt failed", error, DecryptionError);
+  }
+}
+
+// --- Multi-Recipient Envelope ---
+
+// Random content key used to encrypt the body once for every recipient
+const CONTENT_KEY_LENGTH = 32;
+
+// Fisher-Yates shuffle driven by the CSPRNG so slot order carries no information
+function shuffleInPlace(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const rand = randomBytes(4);
+    const j =
+      ((rand[0] << 24) | (rand[1] << 16) | (rand[2] << 8) | rand[3]) >>> 0;
+    const k = j % (i + 1);
+    [items[i], items[k]] = [items[k], items[i]];
+  }
+  return items;
+}
+
+// The AAD binds the shared body; the per-recipient key wraps carry none.
+// The body and the key wraps use the same AEAD.
+function eciesEncryptMulti(
+  receiverPublicKeysX,
+  messageUint8Array,
+  aad,
+  aead = eciesAead(),
+) {
+  assertType({ messageUint8Array }, Uint8Array);
+  if (aad !== undefined) assertType({ aad }, Uint8Array);
+  if (!Array.isArray(receiverPublicKeysX) || receiverPublicKeysX.length === 0) {
+    throw new TypeValidationError(
+      "eciesEncryptMulti failed: At least one recipient is required.",
+    );
+  }
+  receiverPublicKeysX.forEach((receiverPublicKeyX) =>
+    assertType({ receiverPublicKeyX }, Uint8Array),
+  );
+
+  const contentKey = randomBytes(CONTENT_KEY_LENGTH);
+  try {
+    const nonce = randomBytes(aead.nonceLength);
+    const ciphertext = aead
+      .cipher(contentKey, nonce, aad)
+      .encrypt(messageUint8Array);
+
+    // Wrap the content key for each recipient with the single-recipient ECIES.
+    // Slots carry no recipient identifier; their order is randomized.
+    const recipients = shuffleInPlace(
+      receiverPublicKeysX.map((receiverPublicKeyX) =>
+        eciesEncrypt(receiverPublicKeyX, contentKey, undefined, { aead }),
+      ),
+    );
 
-    const aes = siv(aesKey, nonce);
-    let plaintext;
+    return { C: ciphertext, N: nonce, R: recipients };
+  } catch (error) {
+    throw wrapError("eciesEncryptMulti failed", error, TypeValidationError);
+  } finally {
+    contentKey.fill(0);
+  }
+}
+
+// Tries every slot so the position of the matching entry is not leaked by timing
+function unwrapContentKey(receiverPrivateKeyX, recipients, aead) {
+  let contentKey = null;
+  for (const { C, P_e, N } of recipients) {
     try {
-      plaintext = aes.decrypt(ciphertext);
-    } catch (error) {
-      // Log the specific Noble library error
-      console.error("AES-SIV decryption failed:", error);
-      throw new Error(
-        "Decryption failed (authentication tag mismatch or other error)",
+      const sharedSecret = x25519.getSharedSecret(receiverPrivateKeyX, P_e);
+      const unwrapped = aead
+        .cipher(deriveAeadKey(sharedSecret, aead), N)
+        .decrypt(C);
+      if (contentKey === null) {
+        contentKey = unwrapped;
+      }
+    } catch {
+      // Not our slot (or a corrupt one); keep scanning
+    }
+  }
+  return contentKey;
+}
+
+function eciesDecryptMulti(
+  receiverPrivateKeyX,
+  recipients,
+  nonce,
+  ciphertext,
+  aad,
+  aead = eciesAead(),
+) {
+  assertType({ receiverPrivateKeyX }, Uint8Array);
+  assertType({ nonce }, Uint8Array);
+  assertType({ ciphertext }, Uint8Array);
+  if (aad !== undefined) assertType({ aad }, Uint8Array);
+  checkNonce(nonce, aead);
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    throw new DecodeError(
+      "Invalid encrypted payload: Recipient list is empty.",
+    );
+  }
+  recipients.forEach(({ C, P_e, N }) => {
+    if (
+      !(C instanceof Uint8Array) ||
+      !(P_e instanceof Uint8Array) ||
+      !(N instanceof Uint8Array)
+    ) {
+      throw new DecodeError(
+        "Invalid encrypted payload: Malformed recipient entry.",
       );
     }
-    return plaintext; // Returns Uint8Array
+  });
+
+  const contentKey = unwrapContentKey(receiverPrivateKeyX, recipients, aead);
+  if (contentKey === null) {
+    throw new DecryptionError(
+      "Decryption failed: No recipient entry matches this private key.",
+    );
+  }
+  try {
+    return aead.cipher(contentKey, nonce, aad).decrypt(ciphertext);
   } catch (error) {
-    // Catch errors from key conversion/derivation
-    throw new Error(`eciesDecrypt failed: ${error?.message}`);
+    throw new DecryptionError(
+      "Decryption failed (authentication tag mismatch or other error)",
+      { cause: error },
+    );
+  } finally {
+    contentKey.fill(0);
+  }
+}
+
+// --- HPKE (RFC 9180) ---
+
+const HPKE_MODE_NAMES = ["Base", "PSK", "Auth", "AuthPSK"];
+
+// Seals with DHKEM(X25519) to a raw X25519 recipient key; the Ed25519 sender key
+// (Auth mode) is converted to Montgomery form.
+// The mode follows from the inputs: psk -> PSK, senderPrivateKeyEd -> Auth.
+function hpkeEncrypt(receiverPublicKeyX, messageUint8Array, options) {
+  assertType({ receiverPublicKeyX }, Uint8Array);
+  assertType({ messageUint8Array }, Uint8Array);
+  const { aead = "AES-128-GCM", senderPrivateKeyEd } = options;
+  const suite = `HPKE-X25519-SHA256-${aead}`;
+  if (!HPKE_SUITES.hasOwnProperty(suite)) {
+    throw new TypeValidationError(`Unsupported HPKE AEAD: ${aead}.`);
+  }
+  const psk = optionBytes({ psk: options.psk });
+  const pskId = optionBytes({ pskId: options.pskId });
+  const mode =
+    (psk.length > 0 ? hpke.HPKE_MODE_PSK : hpke.HPKE_MODE_BASE) |
+    (senderPrivateKeyEd ? hpke.HPKE_MODE_AUTH : hpke.HPKE_MODE_BASE);
+
+  try {
+    const { enc, ciphertext } = hpke.seal(
+      {
+        mode,
+        aeadId: HPKE_SUITES[suite],
+        recipientPublicKey: receiverPublicKeyX,
+        info: optionBytes({ info: options.info }),
+        psk,
+        pskId,
+        senderPrivateKey: senderPrivateKeyEd
+          ? edwardsToMontgomeryPriv(senderPrivateKeyEd)
+          : undefined,
+      },
+      messageUint8Array,
+      optionBytes({ aad: options.aad }),
+    );
+    return { suite, body: { enc, ct: ciphertext, md: mode } };
+  } catch (error) {
+    throw wrapError("hpkeEncrypt failed", error, TypeValidationError);
+  }
+}
+
+function hpkeDecrypt(receiverPrivateKeyX, suite, body, options) {
+  assertType({ receiverPrivateKeyX }, Uint8Array);
+  const { enc, ct, md } = body;
+  if (
+    !(enc instanceof Uint8Array) ||
+    !(ct instanceof Uint8Array) ||
+    !HPKE_MODE_NAMES[md]
+  ) {
+    throw new DecodeError(
+      "Invalid HPKE payload structure after CBOR decoding.",
+    );
+  }
+  const { senderPublicKeyEd } = options;
+  const needsSender =
+    md === hpke.HPKE_MODE_AUTH || md === hpke.HPKE_MODE_AUTH_PSK;
+  if (needsSender && !senderPublicKeyEd) {
+    throw new TypeValidationError(
+      `HPKE payload uses ${HPKE_MODE_NAMES[md]} mode: senderPublicKey is required.`,
+    );
+  }
+
+  try {
+    return hpke.open(
+      {
+        mode: md,
+        aeadId: HPKE_SUITES[suite],
+        enc,
+        recipientPrivateKey: receiverPrivateKeyX,
+        info: optionBytes({ info: options.info }),
+        psk: optionBytes({ psk: options.psk }),
+        pskId: optionBytes({ pskId: options.pskId }),
+        senderPublicKey: needsSender
+          ? edwardsToMontgomeryPub(senderPublicKeyEd)
+          : undefined,
+      },
+      ct,
+      optionBytes({ aad: options.aad }),
+    );
+  } catch (error) {
+    throw wrapError("hpkeDecrypt failed", error, DecryptionError);
+  }
+}
+
+// Decrypts the body of an opened "enc" envelope: HPKE, single-recipient ECIES {C, P_e, N}
+// or multi-recipient ECIES {C, N, R}. `aad` must match the one used for encryption.
+function decryptPayloadObject(receiverPrivateKeyX, { suite, body }, aad) {
+  if (HPKE_SUITES.hasOwnProperty(suite)) {
+    return hpkeDecrypt(receiverPrivateKeyX, suite, body, { aad });
+  }
+  const aead = eciesAeadForSuite(suite);
+  const { C, P_e, N, R } = body ?? {};
+  if (R !== undefined) {
+    return eciesDecryptMulti(receiverPrivateKeyX, R, N, C, aad, aead);
+  }
+  if (
+    !(C instanceof Uint8Array) ||
+    !(P_e instanceof Uint8Array) ||
+    !(N instanceof Uint8Array)
+  ) {
+    throw new DecodeError(
+      "Invalid encrypted payload structure after CBOR decoding.",
+    );
+  }
+  return eciesDecrypt(receiverPrivateKeyX, P_e, N, C, aad, aead);
+}
+
+// --- Prehash (Ed25519ph) ---
+
+// Ed25519ph (RFC 8032) over an externally computed SHA-512 digest, so large or
+// streamed messages never need to be held in memory. Equivalent to
+// ed25519ph.sign(message) when digest === sha512(message).
+const ed25519phDigest = /* @__PURE__ */ (() =>
+  twistedEdwards({ ...ed25519ph.CURVE, prehash: (digest) => digest }))();
+
+const PREHASH_DIGEST_LENGTH = 64;
+
+// RFC 8032 signing context (Ed25519ctx / Ed25519ph): up to 255 bytes, empty when absent
+const MAX_CONTEXT_LENGTH = 255;
+
+function contextBytes(context) {
+  const bytes = optionBytes({ context });
+  if (bytes.length > MAX_CONTEXT_LENGTH) {
+    throw new TypeValidationError(
+      `Signing context too long: ${bytes.length} bytes (maximum ${MAX_CONTEXT_LENGTH}).`,
+    );
   }
+  return bytes;
 }
 
 // --- Data Classes (Simplified) ---
@@ -182,6 +988,10 @@ class BinaryData {
     return bytesToBase64(this.data);
   }
 
+  toHex() {
+    return bytesToHex(this.data);
+  }
+
   // Example: Create from Base64 encoded raw binary data
   static fromBase64(base64Data, ClassType = BinaryData) {
     assertType({ base64Data }, "string");
@@ -189,8 +999,9 @@ class BinaryData {
       const data = base64ToBytes(base64Data);
       return new ClassType(data);
     } catch (e) {
-      throw new Error(
+      throw new DecodeError(
         `Failed to decode base64 for ${ClassType.name}: ${e.message}`,
+        { cause: e },
       );
     }
   }
@@ -213,7 +1024,7 @@ export class Message extends BinaryData {
       if (data && typeof data === "object") {
         dataType = data.constructor?.name || "Object";
       }
-      throw new Error(
+      throw new TypeValidationError(
         `Invalid data type for Message constructor: Expected string or Uint8Array, got ${dataType}`,
       );
     }
@@ -232,324 +1043,3405 @@ export class Message extends BinaryData {
       return new TextDecoder().decode(this.data);
     } catch (e) {
       // Handle potential decoding errors if data isn't valid UTF-8
-      console.error("Failed to decode message data as UTF-8:", e);
+      logDebug("Failed to decode message data as UTF-8:", e);
       // Return hex as fallback? Or throw?
       return bytesToHex(this.data);
     }
   }
 }
 
-// --- Key Classes ---
-
-export class PrivateKey extends BinaryData {
-  // No static objectIdentifier needed if not using old envelope logic
-
-  // Creates a new random private key
-  static randomPrivateKey() {
-    return new PrivateKey(ed25519.utils.randomPrivateKey());
-  }
-
-  // Derives the corresponding public key
-  get publicKey() {
-    const publicKeyData = ed25519.getPublicKey(this.data);
-    return new PublicKey(publicKeyData);
-  }
-
-  // Decrypts a CBOR-encoded ECIES payload
-  decrypt(encryptedPayload) {
-    assertType({ encryptedPayload }, Uint8Array);
-    const { C, P_e, N } = decode(encryptedPayload); // Decodes CBOR to object
-    // Ensure decoded components are Uint8Array before passing to eciesDecrypt
-    assertType({ C }, Uint8Array);
-    assertType({ P_e }, Uint8Array);
-    assertType({ N }, Uint8Array);
-    const plaintext = eciesDecrypt(this.data, P_e, N, C);
-    return new Message(plaintext); // Return as Message object
+// SHA-512 digest of a message, used by the prehash (Ed25519ph) signing mode
+export class MessageDigest extends BinaryData {
+  constructor(data) {
+    super(data);
+    if (data.length !== PREHASH_DIGEST_LENGTH) {
+      throw new TypeValidationError(
+        `Invalid MessageDigest length: Expected ${PREHASH_DIGEST_LENGTH} bytes, got ${data.length}.`,
+      );
+    }
   }
 
-  // Signs a message (string or Uint8Array)
-  sign(messageData) {
+  // Hashes a string, Uint8Array or Message in one shot
+  static fromMessage(messageData) {
     const message =
       messageData instanceof Message ? messageData : new Message(messageData);
-    const sigData = ed25519.sign(message.toBinary(), this.data);
-    return new Signature(sigData); // Return Signature object
-  }
-
-  // Export raw key as Base64
-  exportAsBase64() {
-    return this.toBase64();
+    return new MessageDigest(sha512(message.toBinary()));
   }
 
-  // Import from Base64 encoded raw key
-  static importFromBase64(base64Key) {
-    return BinaryData.fromBase64(base64Key, PrivateKey);
+  static fromBase64(base64Data) {
+    return BinaryData.fromBase64(base64Data, MessageDigest);
   }
 }
 
-export class PublicKey extends BinaryData {
-  // No static objectIdentifier needed
+// --- Mnemonics (BIP-39) ---
 
-  // Calculates RIPEMD-160 hash of the public key (often used for addresses)
-  get id() {
-    return bytesToHex(ripemd160(this.data));
-  }
+// Accepts a space-separated phrase or an array of words
+function normalizeMnemonic(words) {
+  const phrase = Array.isArray(words) ? words.join(" ") : words;
+  assertType({ phrase }, "string");
+  return phrase.normalize("NFKD").trim().split(/\s+/).join(" ");
+}
 
-  // Verifies a signature against provided data
-  verify(messageData, signature) {
-    const message =
-      messageData instanceof Message ? messageData : new Message(messageData);
-    assertType({ signature }, Signature);
+/**
+ * Generates a BIP-39 mnemonic from the English wordlist.
+ * @param {number} [strength=256] - Entropy bits: 128, 160, 192, 224 or 256 (12 to 24 words).
+ * @returns {string} - Space-separated mnemonic phrase.
+ */
+export const generateMnemonic = (strength = 256) => {
+  return bip39.generateMnemonic(englishWordlist, strength);
+};
+
+/**
+ * Checks a BIP-39 mnemonic against the English wordlist and its checksum.
+ * @param {string | string[]} words - Mnemonic phrase or word array.
+ * @returns {boolean} - True if the mnemonic is valid.
+ */
+export const validateMnemonic = (words) => {
+  return bip39.validateMnemonic(normalizeMnemonic(words), englishWordlist);
+};
+
+/**
+ * Converts a BIP-39 mnemonic and optional passphrase into a 64-byte seed.
+ * @param {string | string[]} words - Mnemonic phrase or word array.
+ * @param {string} [passphrase=""] - Optional BIP-39 passphrase.
+ * @returns {Uint8Array} - The seed.
+ * @throws {DecodeError} If the mnemonic fails wordlist or checksum validation.
+ */
+export const mnemonicToSeed = (words, passphrase = "") => {
+  assertType({ passphrase }, "string");
+  const phrase = normalizeMnemonic(words);
+  if (!bip39.validateMnemonic(phrase, englishWordlist)) {
+    throw new DecodeError(
+      "Invalid mnemonic: Unknown word or checksum mismatch.",
+    );
+  }
+  return bip39.mnemonicToSeedSync(phrase, passphrase);
+};
+
+// --- Encrypted Keystore ---
+
+// Keystore body: { k: KDF cost parameters, S: salt, N: nonce, C: sealed key }.
+// The suite, cost parameters and salt are bound to the ciphertext as AAD.
+const KEYSTORE_KDFS = {
+  [KEYSTORE_SCRYPT_SUITE]: {
+    defaults: { N: 2 ** 17, r: 8, p: 1 },
+    // scrypt's working set is 128 * N * r bytes; p lanes run sequentially
+    cost: ({ N, r, p }) => ({ memory: 128 * N * r, passes: p }),
+    // Returns what is wrong with the parameters, if anything
+    problem: ({ N, r, p }) =>
+      !(N > 1 && Number.isInteger(Math.log2(N)))
+        ? "N must be a power of two greater than 1"
+        : r < 1
+          ? "r must be at least 1"
+          : p < 1
+            ? "p must be at least 1"
+            : undefined,
+    derive: (password, salt, { N, r, p }) =>
+      scrypt(password, salt, { N, r, p, dkLen: 32 }),
+  },
+  [KEYSTORE_ARGON2ID_SUITE]: {
+    defaults: { t: 3, m: 65536, p: 1 },
+    // Argon2 memory cost is given in KiB
+    cost: ({ t, m }) => ({ memory: 1024 * m, passes: t }),
+    problem: ({ t, m, p }) =>
+      t < 1
+        ? "t must be at least 1"
+        : p < 1
+          ? "p must be at least 1"
+          : m < 8 * p
+            ? "m must be at least 8 * p"
+            : undefined,
+    derive: (password, salt, { t, m, p }) =>
+      argon2id(password, salt, { t, m, p, dkLen: 32 }),
+  },
+};
+
+const KEYSTORE_KDF_NAMES = {
+  scrypt: KEYSTORE_SCRYPT_SUITE,
+  argon2id: KEYSTORE_ARGON2ID_SUITE,
+};
+
+function passwordBytes(password) {
+  const bytes =
+    typeof password === "string"
+      ? new TextEncoder().encode(password.normalize("NFKC"))
+      : password;
+  assertType({ password: bytes }, Uint8Array);
+  if (bytes.length === 0)
+    throw new TypeValidationError("Password must not be empty.");
+  return bytes;
+}
+
+// Returns the suite's KDF parameters in a fixed order, rejecting anything malformed
+function keystoreKdfParams(suite, k) {
+  const { defaults, problem } = KEYSTORE_KDFS[suite];
+  const names = Object.keys(defaults);
+  if (
+    !isPlainObject(k) ||
+    Object.keys(k).length !== names.length ||
+    !names.every((name) => Number.isSafeInteger(k[name])) ||
+    problem(k) !== undefined
+  ) {
+    throw new DecodeError(
+      `Invalid keystore: Malformed ${suite} KDF parameters.`,
+    );
+  }
+  return Object.fromEntries(names.map((name) => [name, k[name]]));
+}
+
+// Validates the caller's cost options for `kdf` and returns the full parameter set
+function keystoreCostOptions(kdf, suite, overrides) {
+  const { defaults, problem } = KEYSTORE_KDFS[suite];
+  for (const [name, value] of Object.entries(overrides)) {
+    if (!defaults.hasOwnProperty(name)) {
+      throw new TypeValidationError(`Unsupported ${kdf} option: ${name}.`);
+    }
+    if (!Number.isSafeInteger(value)) {
+      throw new TypeValidationError(
+        `Invalid ${kdf} option: ${name} must be an integer.`,
+      );
+    }
+  }
+  const k = { ...defaults, ...overrides };
+  const reason = problem(k);
+  if (reason !== undefined) {
+    throw new TypeValidationError(`Invalid ${kdf} option: ${reason}.`);
+  }
+  return k;
+}
+
+function keystoreAad(suite, k, salt) {
+  return encode([suite, Object.values(k), salt]);
+}
+
+function sealKeystore(privateKeyBytes, password, options) {
+  const { kdf = "scrypt", ...costOverrides } = options;
+  const suite = KEYSTORE_KDF_NAMES.hasOwnProperty(kdf)
+    ? KEYSTORE_KDF_NAMES[kdf]
+    : undefined;
+  if (!suite)
+    throw new TypeValidationError(`Unsupported keystore KDF: ${kdf}.`);
+  const { derive } = KEYSTORE_KDFS[suite];
+  const k = keystoreCostOptions(kdf, suite, costOverrides);
+  const salt = randomBytes(16);
+  const nonce = randomBytes(12);
+  const key = derive(passwordBytes(password), salt, k);
+  const ciphertext = siv(key, nonce, keystoreAad(suite, k, salt)).encrypt(
+    privateKeyBytes,
+  );
+  return sealEnvelope(suite, { k, S: salt, N: nonce, C: ciphertext });
+}
+
+function openKeystore(keystore, password, limits) {
+  const { maxMemory = 2 ** 28, maxPasses = 16 } = limits;
+  const { suite, body } = openEnvelope(keystore, "key");
+  if (
+    !isPlainObject(body) ||
+    !(body.S instanceof Uint8Array) ||
+    !(body.N instanceof Uint8Array) ||
+    body.N.length !== 12 ||
+    !(body.C instanceof Uint8Array)
+  ) {
+    throw new DecodeError(
+      "Invalid keystore: Missing salt, nonce or ciphertext.",
+    );
+  }
+  const k = keystoreKdfParams(suite, body.k);
+  const { memory, passes } = KEYSTORE_KDFS[suite].cost(k);
+  if (memory > maxMemory || passes > maxPasses) {
+    throw new DecodeError(
+      `Keystore KDF cost exceeds the configured limits (memory ${memory} > ${maxMemory} or passes ${passes} > ${maxPasses}).`,
+    );
+  }
+  const key = KEYSTORE_KDFS[suite].derive(passwordBytes(password), body.S, k);
+  try {
+    return siv(key, body.N, keystoreAad(suite, k, body.S)).decrypt(body.C);
+  } catch (error) {
+    throw new InvalidPasswordError(undefined, { cause: error });
+  }
+}
+
+// --- Key Formats (PKCS#8, SPKI, JWK, hex) ---
+
+const KEY_LENGTH = 32;
+
+// Checks raw key bytes; public keys must also decode to a curve point
+function checkRawKey(bytes, what, isPublic = false) {
+  if (bytes.length !== KEY_LENGTH) {
+    throw new DecodeError(
+      `Invalid ${what}: Expected ${KEY_LENGTH} bytes, got ${bytes.length}.`,
+    );
+  }
+  if (isPublic) {
+    try {
+      ed25519.ExtendedPoint.fromHex(bytes);
+    } catch (e) {
+      throw new DecodeError(
+        `Invalid ${what}: Not a valid Ed25519 point (${e.message}).`,
+        { cause: e },
+      );
+    }
+  }
+  return bytes;
+}
+
+function parseHexKey(hexKey, what, isPublic) {
+  assertType({ hexKey }, "string");
+  let bytes;
+  try {
+    bytes = hexToBytes(hexKey);
+  } catch (e) {
+    throw new DecodeError(`Invalid ${what}: ${e.message}`, { cause: e });
+  }
+  return checkRawKey(bytes, what, isPublic);
+}
+
+// Ed25519 keys can also be exported in converted X25519 form; that form cannot be mapped
+// back, so it imports as an X25519PrivateKey / X25519PublicKey instead
+function exportAlgorithm(algorithm = "Ed25519") {
+  if (algorithm !== "Ed25519" && algorithm !== "X25519") {
+    throw new TypeValidationError(`Unsupported key algorithm: ${algorithm}.`);
+  }
+  return algorithm;
+}
+
+function requireAlgorithm(algorithm, expected, what) {
+  if (algorithm !== expected) {
+    throw new DecodeError(
+      `Invalid ${what}: ${algorithm} keys cannot be imported as ${expected} keys.`,
+    );
+  }
+}
+
+function formatDer(der, label, format = "pem") {
+  if (format === "der") return der;
+  if (format === "pem") return derToPem(label, der);
+  throw new TypeValidationError(`Unsupported key format: ${format}.`);
+}
+
+// Accepts PEM text or DER bytes
+function readDer(input, label) {
+  if (typeof input === "string") return pemToDer(label, input);
+  assertType({ input }, Uint8Array);
+  return input;
+}
+
+// Only Ed25519 public keys can be checked as curve points; any 32 bytes are an X25519 key
+function jwkField(jwk, name, what, crv = "Ed25519") {
+  const value = jwk[name];
+  if (typeof value !== "string") {
+    throw new DecodeError(`Invalid ${what}: Missing "${name}".`);
+  }
+  let bytes;
+  try {
+    bytes = base64UrlToBytes(value);
+  } catch (e) {
+    throw new DecodeError(`Invalid ${what}: "${name}" ${e.message}`, {
+      cause: e,
+    });
+  }
+  return checkRawKey(
+    bytes,
+    `${what} "${name}"`,
+    name === "x" && crv === "Ed25519",
+  );
+}
+
+function checkJwk(jwk, what, crv = "Ed25519") {
+  if (!isPlainObject(jwk) || jwk.kty !== "OKP") {
+    throw new DecodeError(`Invalid ${what}: Expected kty "OKP".`);
+  }
+  requireAlgorithm(jwk.crv, crv, what);
+}
+
+// --- Key Shares (Shamir) ---
+
+// Share body: { i: split ID, x: share index, k: threshold, n: share count,
+// y: share bytes, f: fingerprint (RIPEMD-160 of the public key, i.e. PublicKey.id),
+// s: checksum (first 4 bytes of SHA-256 over the other fields) }.
+const SPLIT_ID_LENGTH = 16;
+const SHARE_CHECKSUM_LENGTH = 4;
+
+function shareChecksum({ i, x, k, n, y, f }) {
+  return sha256(encode([i, x, k, n, y, f])).slice(0, SHARE_CHECKSUM_LENGTH);
+}
+
+// A single share of a split PrivateKey; the binary form is a CBOR envelope
+export class KeyShare extends BinaryData {
+  constructor(data) {
+    super(data);
+    const { body } = openEnvelope(data, "share");
+    const { i, x, k, n, y, f, s } = isPlainObject(body) ? body : {};
+    if (
+      !(i instanceof Uint8Array) ||
+      i.length !== SPLIT_ID_LENGTH ||
+      !Number.isInteger(x) ||
+      !Number.isInteger(k) ||
+      !Number.isInteger(n) ||
+      !(2 <= k && k <= n && n <= 255 && 1 <= x && x <= n) ||
+      !(y instanceof Uint8Array) ||
+      y.length !== KEY_LENGTH ||
+      !(f instanceof Uint8Array) ||
+      f.length !== 20 ||
+      !(s instanceof Uint8Array)
+    ) {
+      throw new DecodeError("Invalid key share: Malformed share.");
+    }
+    if (!equalBytes(s, shareChecksum(body))) {
+      throw new DecodeError(
+        "Invalid key share: Checksum mismatch (corrupt share).",
+      );
+    }
+    this.splitId = bytesToHex(i);
+    this.index = x;
+    this.threshold = k;
+    this.shares = n;
+    this.fingerprint = bytesToHex(f);
+    this.value = y;
+  }
+
+  static create({ i, x, k, n, y, f }) {
+    const body = { i, x, k, n, y, f };
+    body.s = shareChecksum(body);
+    return new KeyShare(sealEnvelope(SHAMIR_SUITE, body));
+  }
+
+  static fromBase64(base64Data) {
+    return BinaryData.fromBase64(base64Data, KeyShare);
+  }
+}
+
+function toKeyShare(share) {
+  if (share instanceof KeyShare) return share;
+  if (typeof share === "string") return KeyShare.fromBase64(share);
+  return new KeyShare(share);
+}
+
+// --- Key Classes ---
+
+export class PrivateKey extends BinaryData {
+  // No static objectIdentifier needed if not using old envelope logic
+
+  // Creates a new random private key
+  static randomPrivateKey() {
+    return new PrivateKey(ed25519.utils.randomPrivateKey());
+  }
+
+  // Derives a key from a seed along a hardened SLIP-0010 path, e.g. "m/44'/0'/0'"
+  static fromSeed(seed, path) {
+    assertType({ seed }, Uint8Array);
+    return new PrivateKey(derivePath(seed, path).key);
+  }
+
+  // Derives a key from a BIP-39 mnemonic (+ optional passphrase) along a SLIP-0010 path
+  static fromMnemonic(words, path, passphrase = "") {
+    return PrivateKey.fromSeed(mnemonicToSeed(words, passphrase), path);
+  }
+
+  /**
+   * Splits the key into Shamir shares over GF(256); any `threshold` of them rebuild it.
+   * @param {number} threshold - Shares required to recover (at least 2).
+   * @param {number} shares - Shares to create (threshold..255).
+   * @returns {KeyShare[]} - One share per holder (serialize with toBinary() / toBase64()).
+   */
+  split(threshold, shares) {
+    const i = randomBytes(SPLIT_ID_LENGTH);
+    const f = ripemd160(this.publicKey.toBinary());
+    return splitSecret(this.data, threshold, shares).map(({ x, y }) =>
+      KeyShare.create({ i, x, k: threshold, n: shares, y, f }),
+    );
+  }
+
+  /**
+   * Rebuilds a key from Shamir shares.
+   * @param {(KeyShare | Uint8Array | string)[]} shares - Shares as objects, bytes or Base64.
+   * @returns {PrivateKey} - The recovered key.
+   * @throws {DecodeError | TypeValidationError | KeyMismatchError} If a share is corrupt, shares come from different splits,
+   *   too few are given, or the result does not match the shares' fingerprint.
+   */
+  static combine(shares) {
+    if (!Array.isArray(shares) || shares.length === 0) {
+      throw new TypeValidationError("No key shares given.");
+    }
+    const parsed = shares.map(toKeyShare);
+    const [first] = parsed;
+    if (
+      !parsed.every(
+        (share) =>
+          share.splitId === first.splitId &&
+          share.threshold === first.threshold &&
+          share.shares === first.shares &&
+          share.fingerprint === first.fingerprint,
+      )
+    ) {
+      throw new TypeValidationError("Key shares belong to different splits.");
+    }
+    const distinct = [
+      ...new Map(parsed.map((share) => [share.index, share])).values(),
+    ];
+    if (distinct.length < first.threshold) {
+      throw new TypeValidationError(
+        `Not enough key shares: Need ${first.threshold}, got ${distinct.length}.`,
+      );
+    }
+    const key = new PrivateKey(
+      combineSecret(
+        distinct
+          .slice(0, first.threshold)
+          .map((share) => ({ x: share.index, y: share.value })),
+      ),
+    );
+    if (key.publicKey.id !== first.fingerprint) {
+      throw new KeyMismatchError(
+        "Key shares do not reconstruct the fingerprinted key (wrong or tampered share).",
+      );
+    }
+    return key;
+  }
+
+  // Derives the corresponding public key
+  get publicKey() {
+    const publicKeyData = ed25519.getPublicKey(this.data);
+    return new PublicKey(publicKeyData);
+  }
+
+  // Shared secret with a peer (PublicKey or X25519PublicKey) using this key's X25519 form.
+  // options: { info, salt, length } for the HKDF-SHA256 step (see X25519PrivateKey)
+  deriveSharedSecret(peerPublicKey, options = {}) {
+    return deriveSharedSecretX(
+      edwardsToMontgomeryPriv(this.data),
+      peerPublicKey,
+      options,
+    );
+  }
+
+  // Decrypts a CBOR-encoded ECIES payload (single- or multi-recipient).
+  // options.aad: associated data (string or Uint8Array) given at encryption
+  decrypt(encryptedPayload, options = {}) {
+    assertType({ encryptedPayload }, Uint8Array);
+    const aad = optionBytes({ aad: options.aad });
+    const opened = openEnvelope(encryptedPayload, "enc"); // Decodes CBOR envelope
+    const plaintext = decryptPayloadObject(
+      edwardsToMontgomeryPriv(this.data),
+      opened,
+      aad,
+    );
+    return new Message(plaintext); // Return as Message object
+  }
+
+  // Decrypts an HPKE (RFC 9180) payload; PSK/Auth modes need the matching options
+  decryptHpke(encryptedPayload, options = {}) {
+    assertType({ encryptedPayload }, Uint8Array);
+    const { senderPublicKey, ...hpkeOptions } = options;
+    if (senderPublicKey !== undefined) {
+      assertType({ senderPublicKey }, PublicKey);
+    }
+    const { suite, body } = openEnvelope(encryptedPayload, "enc");
+    if (!HPKE_SUITES.hasOwnProperty(suite)) {
+      throw new DecodeError(`Not an HPKE payload: suite ${suite}.`);
+    }
+    const plaintext = hpkeDecrypt(
+      edwardsToMontgomeryPriv(this.data),
+      suite,
+      body,
+      {
+        ...hpkeOptions,
+        senderPublicKeyEd: senderPublicKey?.toBinary(),
+      },
+    );
+    return new Message(plaintext);
+  }
+
+  // Signs a message (string or Uint8Array)
+  // options.context: signing context; a non-empty context selects Ed25519ctx
+  sign(messageData, options = {}) {
+    const message =
+      messageData instanceof Message ? messageData : new Message(messageData);
+    const context = contextBytes(options.context);
+    const sigData = context.length
+      ? ed25519ctx.sign(message.toBinary(), this.data, { context })
+      : ed25519.sign(message.toBinary(), this.data);
+    return new Signature(sigData); // Return Signature object
+  }
+
+  // Same as sign() (Ed25519 is deterministic, so the bytes are identical), but uses native
+  // Ed25519 when available; Ed25519ctx (options.context) always runs on noble
+  async signAsync(messageData, options = {}) {
+    const message =
+      messageData instanceof Message ? messageData : new Message(messageData);
+    if (contextBytes(options.context).length === 0) {
+      const sigData = await nativeEd25519Sign(this.data, message.toBinary());
+      if (sigData !== null) return new Signature(sigData);
+    }
+    return this.sign(message, options);
+  }
+
+  // Signs a SHA-512 message digest with Ed25519ph (options.context: signing context)
+  signPrehashed(messageDigest, options = {}) {
+    assertType({ messageDigest }, MessageDigest);
+    const context = contextBytes(options.context);
+    const sigData = ed25519phDigest.sign(messageDigest.toBinary(), this.data, {
+      context,
+    });
+    return new Signature(sigData);
+  }
+
+  // Export raw key as Base64
+  exportAsBase64() {
+    return this.toBase64();
+  }
+
+  // Import from Base64 encoded raw key
+  static importFromBase64(base64Key) {
+    return BinaryData.fromBase64(base64Key, PrivateKey);
+  }
+
+  // Export raw key as lowercase hex
+  exportAsHex() {
+    return this.toHex();
+  }
+
+  // Import from a hex encoded raw 32-byte key
+  static importFromHex(hexKey) {
+    return new PrivateKey(parseHexKey(hexKey, "private key"));
+  }
+
+  /**
+   * Exports the key as PKCS#8 (RFC 8410).
+   * @param {object} [options]
+   * @param {"pem" | "der"} [options.format="pem"] - PEM text or DER bytes.
+   * @param {"Ed25519" | "X25519"} [options.algorithm="Ed25519"] - X25519 exports the converted ECDH key.
+   * @returns {string | Uint8Array}
+   */
+  exportPkcs8(options = {}) {
+    const algorithm = exportAlgorithm(options.algorithm);
+    const key =
+      algorithm === "X25519" ? edwardsToMontgomeryPriv(this.data) : this.data;
+    return formatDer(
+      encodePkcs8(algorithm, key),
+      "PRIVATE KEY",
+      options.format,
+    );
+  }
+
+  // Imports an Ed25519 PKCS#8 key from PEM text or DER bytes
+  static importPkcs8(pkcs8) {
+    const { algorithm, privateKey, publicKey } = decodePkcs8(
+      readDer(pkcs8, "PRIVATE KEY"),
+    );
+    requireAlgorithm(algorithm, "Ed25519", "PKCS#8 key");
+    const key = new PrivateKey(privateKey);
+    if (publicKey && !equalBytes(publicKey, key.publicKey.toBinary())) {
+      throw new KeyMismatchError(
+        "Invalid PKCS#8 key: Embedded public key does not match the private key.",
+      );
+    }
+    return key;
+  }
+
+  // Exports a private JWK (RFC 8037): { kty: "OKP", crv, d, x }
+  exportJwk(options = {}) {
+    const algorithm = exportAlgorithm(options.algorithm);
+    const publicJwk = this.publicKey.exportJwk({ algorithm });
+    const d =
+      algorithm === "X25519" ? edwardsToMontgomeryPriv(this.data) : this.data;
+    return { ...publicJwk, d: bytesToBase64Url(d) };
+  }
+
+  // Imports a private Ed25519 JWK; "x", when present, must match "d"
+  static importJwk(jwk) {
+    checkJwk(jwk, "JWK");
+    const key = new PrivateKey(jwkField(jwk, "d", "JWK"));
+    if (
+      jwk.x !== undefined &&
+      !equalBytes(jwkField(jwk, "x", "JWK"), key.publicKey.toBinary())
+    ) {
+      throw new KeyMismatchError(
+        'Invalid JWK: "x" does not match the private key "d".',
+      );
+    }
+    return key;
+  }
+
+  /**
+   * Exports the key as a password-protected keystore (Base64 CBOR envelope).
+   * @param {string | Uint8Array} password - Keystore password.
+   * @param {object} [options]
+   * @param {"scrypt" | "argon2id"} [options.kdf="scrypt"] - Password KDF.
+   * @param {number} [options.N] - scrypt cost (power of two, default 2^17); also `r` (8) and `p` (1).
+   * @param {number} [options.t] - Argon2id passes (default 3); also `m` (KiB, 65536) and `p` (1).
+   * @returns {string} - Base64 encoded keystore.
+   * @throws {TypeValidationError} If the KDF or a cost option is unsupported or out of range.
+   */
+  exportEncrypted(password, options = {}) {
+    return bytesToBase64(sealKeystore(this.data, password, options));
+  }
+
+  /**
+   * Imports a keystore produced by `exportEncrypted`.
+   * @param {string | Uint8Array} keystore - Base64 string or raw keystore bytes.
+   * @param {string | Uint8Array} password - Keystore password.
+   * @param {object} [limits] - Refuses keystores whose KDF cost exceeds these.
+   * @param {number} [limits.maxMemory=268435456] - Maximum KDF memory in bytes (256 MiB).
+   * @param {number} [limits.maxPasses=16] - Maximum Argon2id passes / scrypt parallelization.
+   * @returns {PrivateKey} - The decrypted key.
+   * @throws {InvalidPasswordError} If the password is wrong or the keystore was modified.
+   */
+  static importEncrypted(keystore, password, limits = {}) {
+    const bytes =
+      typeof keystore === "string" ? base64ToBytes(keystore) : keystore;
+    assertType({ keystore: bytes }, Uint8Array);
+    return new PrivateKey(openKeystore(bytes, password, limits));
+  }
+}
+
+export class PublicKey extends BinaryData {
+  // No static objectIdentifier needed
+
+  // Calculates RIPEMD-160 hash of the public key (often used for addresses)
+  get id() {
+    return bytesToHex(ripemd160(this.data));
+  }
+
+  /**
+   * Encodes the key hash (`id`) as a checksummed address.
+   * @param {object} [options]
+   * @param {"bech32m" | "base58check"} [options.encoding="bech32m"]
+   * @param {string} [options.hrp="lea"] - bech32m network prefix.
+   * @param {number} [options.version=0] - base58check version byte.
+   * @returns {string} - e.g. "lea1..." for bech32m.
+   */
+  toAddress(options = {}) {
+    return Address.fromPublicKey(this.data, options).toString();
+  }
+
+  // Verifies a signature against provided data
+  // options.context: the signing context the signature must have been made with (Ed25519ctx)
+  verify(messageData, signature, options = {}) {
+    const message =
+      messageData instanceof Message ? messageData : new Message(messageData);
+    assertType({ signature }, Signature);
+    const context = contextBytes(options.context);
+
+    let valid = false;
+    try {
+      valid = context.length
+        ? ed25519ctx.verify(
+            signature.toBinary(),
+            message.toBinary(),
+            this.data,
+            {
+              context,
+              zip215: false,
+            },
+          )
+        : ed25519.verify(signature.toBinary(), message.toBinary(), this.data, {
+            zip215: false,
+          }); // RFC8032 / FIPS 186-5
+    } catch (error) {
+      // verification can throw on invalid points etc.
+      logDebug("Verification error:", error);
+      return false; // Treat verification errors as invalid signature
+    }
+
+    return valid; // false for an invalid signature
+  }
+
+  // Same result as verify(), using native Ed25519 when available. Signatures the native
+  // check rejects are re-checked with noble, so the accepted set never differs.
+  async verifyAsync(messageData, signature, options = {}) {
+    const message =
+      messageData instanceof Message ? messageData : new Message(messageData);
+    assertType({ signature }, Signature);
+    if (contextBytes(options.context).length === 0) {
+      const valid = await nativeEd25519Verify(
+        this.data,
+        message.toBinary(),
+        signature.toBinary(),
+      );
+      if (valid) return true;
+    }
+    return this.verify(message, signature, options);
+  }
+
+  // Verifies an Ed25519ph signature against a SHA-512 message digest (options.context as for verify)
+  verifyPrehashed(messageDigest, signature, options = {}) {
+    assertType({ messageDigest }, MessageDigest);
+    assertType({ signature }, Signature);
+    const context = contextBytes(options.context);
+    try {
+      return ed25519phDigest.verify(
+        signature.toBinary(),
+        messageDigest.toBinary(),
+        this.data,
+        { context, zip215: false },
+      );
+    } catch (error) {
+      logDebug("Verification error:", error);
+      return false;
+    }
+  }
+
+  // Encrypts data for this public key.
+  // options.aad: associated data (string or Uint8Array), authenticated but not encrypted
+  // options.aead: "AES-256-GCM-SIV" (default) or "XChaCha20-Poly1305"
+  encrypt(messageData, options = {}) {
+    const message =
+      messageData instanceof Message ? messageData : new Message(messageData);
+    const aad = optionBytes({ aad: options.aad });
+    const aead = eciesAead(options.aead);
+    const cipherObject = eciesEncrypt(
+      edwardsToMontgomeryPub(this.data),
+      message.toBinary(),
+      aad,
+      { aead },
+    );
+    // Return the CBOR-encoded envelope directly
+    return sealEnvelope(aead.suite, cipherObject); // Returns Uint8Array
+  }
+
+  // Encrypts data for this public key with HPKE (RFC 9180).
+  // options: { aead, info, aad, psk, pskId, senderPrivateKey }; psk selects PSK mode,
+  // senderPrivateKey selects Auth mode (both: AuthPSK)
+  encryptHpke(messageData, options = {}) {
+    const message =
+      messageData instanceof Message ? messageData : new Message(messageData);
+    const { senderPrivateKey, ...hpkeOptions } = options;
+    if (senderPrivateKey !== undefined) {
+      assertType({ senderPrivateKey }, PrivateKey);
+    }
+    const { suite, body } = hpkeEncrypt(
+      edwardsToMontgomeryPub(this.data),
+      message.toBinary(),
+      {
+        ...hpkeOptions,
+        senderPrivateKeyEd: senderPrivateKey?.toBinary(),
+      },
+    );
+    return sealEnvelope(suite, body); // Returns Uint8Array
+  }
+
+  // Encrypts data once for several public keys (CBOR payload {C, N, R}); options as for encrypt()
+  static encryptForRecipients(messageData, recipientPublicKeys, options = {}) {
+    const message =
+      messageData instanceof Message ? messageData : new Message(messageData);
+    const aad = optionBytes({ aad: options.aad });
+    const aead = eciesAead(options.aead);
+    const cipherObject = eciesEncryptMulti(
+      toRecipientKeyList(recipientPublicKeys),
+      message.toBinary(),
+      aad,
+      aead,
+    );
+    return sealEnvelope(aead.suite, cipherObject); // Returns Uint8Array
+  }
+
+  // Export raw key as Base64
+  exportAsBase64() {
+    return this.toBase64();
+  }
+
+  // Import from Base64 encoded raw key
+  static importFromBase64(base64Key) {
+    return BinaryData.fromBase64(base64Key, PublicKey);
+  }
+
+  // Export raw key as lowercase hex
+  exportAsHex() {
+    return this.toHex();
+  }
+
+  // Import from a hex encoded raw 32-byte key
+  static importFromHex(hexKey) {
+    return new PublicKey(parseHexKey(hexKey, "public key", true));
+  }
+
+  /**
+   * Exports the key as SubjectPublicKeyInfo (RFC 8410).
+   * @param {object} [options]
+   * @param {"pem" | "der"} [options.format="pem"] - PEM text or DER bytes.
+   * @param {"Ed25519" | "X25519"} [options.algorithm="Ed25519"] - X25519 exports the converted ECDH key.
+   * @returns {string | Uint8Array}
+   */
+  exportSpki(options = {}) {
+    const algorithm = exportAlgorithm(options.algorithm);
+    const key =
+      algorithm === "X25519" ? edwardsToMontgomeryPub(this.data) : this.data;
+    return formatDer(encodeSpki(algorithm, key), "PUBLIC KEY", options.format);
+  }
+
+  // Imports an Ed25519 SubjectPublicKeyInfo from PEM text or DER bytes
+  static importSpki(spki) {
+    const { algorithm, publicKey } = decodeSpki(readDer(spki, "PUBLIC KEY"));
+    requireAlgorithm(algorithm, "Ed25519", "SubjectPublicKeyInfo");
+    return new PublicKey(checkRawKey(publicKey, "Ed25519 public key", true));
+  }
+
+  // Exports a public JWK (RFC 8037): { kty: "OKP", crv, x }
+  exportJwk(options = {}) {
+    const algorithm = exportAlgorithm(options.algorithm);
+    const x =
+      algorithm === "X25519" ? edwardsToMontgomeryPub(this.data) : this.data;
+    return { kty: "OKP", crv: algorithm, x: bytesToBase64Url(x) };
+  }
+
+  // Imports a public Ed25519 JWK; private members are ignored
+  static importJwk(jwk) {
+    checkJwk(jwk, "JWK");
+    return new PublicKey(jwkField(jwk, "x", "JWK"));
+  }
+
+  // RFC 7638 JWK thumbprint (SHA-256, base64url) of the Ed25519 JWK
+  jwkThumbprint() {
+    const { crv, kty, x } = this.exportJwk();
+    // Required members only, in lexicographic order, without whitespace
+    const canonical = JSON.stringify({ crv, kty, x });
+    return bytesToBase64Url(sha256(new TextEncoder().encode(canonical)));
+  }
+}
+
+// Validates a list of PublicKey / X25519PublicKey objects and returns their raw X25519 bytes
+function toRecipientKeyList(recipientPublicKeys) {
+  if (!Array.isArray(recipientPublicKeys) || recipientPublicKeys.length === 0) {
+    throw new TypeValidationError(
+      "recipientPublicKeys must be a non-empty array of PublicKey objects.",
+    );
+  }
+  return recipientPublicKeys.map(recipientPublicKeyX);
+}
+
+// --- X25519 Keys ---
+
+// HKDF-SHA256 output is limited to 255 blocks
+const MAX_SHARED_SECRET_LENGTH = 255 * 32;
+
+// Raw X25519 key of an encryption recipient: X25519 keys as-is, Ed25519 keys converted
+function recipientPublicKeyX(recipientPublicKey) {
+  if (recipientPublicKey instanceof X25519PublicKey) {
+    return recipientPublicKey.toBinary();
+  }
+  assertType({ recipientPublicKey }, PublicKey);
+  return edwardsToMontgomeryPub(recipientPublicKey.toBinary());
+}
+
+function recipientPrivateKeyX(recipientPrivateKey) {
+  if (recipientPrivateKey instanceof X25519PrivateKey) {
+    return recipientPrivateKey.toBinary();
+  }
+  assertType({ recipientPrivateKey }, PrivateKey);
+  return edwardsToMontgomeryPriv(recipientPrivateKey.toBinary());
+}
+
+/**
+ * X25519 key agreement followed by HKDF-SHA256.
+ * The raw Diffie-Hellman output is not uniformly random, so it is never returned as is.
+ * @param {Uint8Array} privateKeyX - Raw X25519 private key.
+ * @param {PublicKey | X25519PublicKey} peerPublicKey - Peer key; Ed25519 keys are converted.
+ * @param {object} [options]
+ * @param {string | Uint8Array} [options.info] - HKDF info (context / protocol label).
+ * @param {string | Uint8Array} [options.salt] - HKDF salt.
+ * @param {number} [options.length=32] - Output length in bytes (1..8160).
+ * @returns {Uint8Array}
+ * @throws {DecodeError} If the peer key is a low-order point (the shared secret would be all zeros).
+ */
+function deriveSharedSecretX(privateKeyX, peerPublicKey, options) {
+  const info = optionBytes({ info: options.info });
+  const salt = optionBytes({ salt: options.salt });
+  const { length = 32 } = options;
+  if (
+    !Number.isInteger(length) ||
+    length < 1 ||
+    length > MAX_SHARED_SECRET_LENGTH
+  ) {
+    throw new TypeValidationError(
+      `Invalid shared secret length: Expected 1 to ${MAX_SHARED_SECRET_LENGTH} bytes, got ${length}.`,
+    );
+  }
+  const peerPublicKeyX = recipientPublicKeyX(peerPublicKey);
+  let sharedSecret;
+  try {
+    sharedSecret = x25519.getSharedSecret(privateKeyX, peerPublicKeyX);
+  } catch (error) {
+    // noble refuses an all-zero (non-contributory) result, RFC 7748 Section 6.1
+    throw new DecodeError(
+      `Key agreement failed: Peer public key is a low-order point (${error?.message}).`,
+      { cause: error },
+    );
+  }
+  try {
+    return hkdf(sha256, sharedSecret, salt, info, length);
+  } finally {
+    sharedSecret.fill(0);
+  }
+}
+
+// Dedicated X25519 (ECDH) key pair, kept separate from Ed25519 signing keys.
+// Works wherever an encryption key is expected: encryptMessage, decryptMessage,
+// PublicKey.encryptForRecipients and the non-bound signAndEncryptMessage.
+export class X25519PrivateKey extends BinaryData {
+  constructor(data) {
+    super(data);
+    checkRawKey(data, "X25519 private key");
+  }
+
+  // Creates a new random private key
+  static randomPrivateKey() {
+    return new X25519PrivateKey(x25519.utils.randomPrivateKey());
+  }
+
+  // Converts an Ed25519 private key to its X25519 form (the key the ECIES layer uses for it)
+  static fromEd25519(privateKey) {
+    assertType({ privateKey }, PrivateKey);
+    return new X25519PrivateKey(edwardsToMontgomeryPriv(privateKey.toBinary()));
+  }
+
+  // Derives the corresponding public key
+  get publicKey() {
+    return new X25519PublicKey(x25519.getPublicKey(this.data));
+  }
+
+  // Shared secret with a peer (X25519PublicKey or Ed25519 PublicKey); options { info, salt, length }
+  deriveSharedSecret(peerPublicKey, options = {}) {
+    return deriveSharedSecretX(this.data, peerPublicKey, options);
+  }
+
+  // Decrypts a CBOR-encoded ECIES or HPKE Base-mode payload; options.aad as for decryptMessage
+  decrypt(encryptedPayload, options = {}) {
+    return new Message(decryptMessage(encryptedPayload, this, options));
+  }
+
+  // Export raw key as Base64
+  exportAsBase64() {
+    return this.toBase64();
+  }
+
+  // Import from Base64 encoded raw key
+  static importFromBase64(base64Key) {
+    return BinaryData.fromBase64(base64Key, X25519PrivateKey);
+  }
+
+  // Export raw key as lowercase hex
+  exportAsHex() {
+    return this.toHex();
+  }
+
+  // Import from a hex encoded raw 32-byte key
+  static importFromHex(hexKey) {
+    return new X25519PrivateKey(parseHexKey(hexKey, "X25519 private key"));
+  }
+
+  // Exports the key as PKCS#8 (RFC 8410); options.format: "pem" (default) or "der"
+  exportPkcs8(options = {}) {
+    return formatDer(
+      encodePkcs8("X25519", this.data),
+      "PRIVATE KEY",
+      options.format,
+    );
+  }
+
+  // Imports an X25519 PKCS#8 key from PEM text or DER bytes
+  static importPkcs8(pkcs8) {
+    const { algorithm, privateKey, publicKey } = decodePkcs8(
+      readDer(pkcs8, "PRIVATE KEY"),
+    );
+    requireAlgorithm(algorithm, "X25519", "PKCS#8 key");
+    const key = new X25519PrivateKey(privateKey);
+    if (publicKey && !equalBytes(publicKey, key.publicKey.toBinary())) {
+      throw new KeyMismatchError(
+        "Invalid PKCS#8 key: Embedded public key does not match the private key.",
+      );
+    }
+    return key;
+  }
+
+  // Exports a private JWK (RFC 8037): { kty: "OKP", crv: "X25519", d, x }
+  exportJwk() {
+    return { ...this.publicKey.exportJwk(), d: bytesToBase64Url(this.data) };
+  }
+
+  // Imports a private X25519 JWK; "x", when present, must match "d"
+  static importJwk(jwk) {
+    checkJwk(jwk, "JWK", "X25519");
+    const key = new X25519PrivateKey(jwkField(jwk, "d", "JWK", "X25519"));
+    if (
+      jwk.x !== undefined &&
+      !equalBytes(jwkField(jwk, "x", "JWK", "X25519"), key.publicKey.toBinary())
+    ) {
+      throw new KeyMismatchError(
+        'Invalid JWK: "x" does not match the private key "d".',
+      );
+    }
+    return key;
+  }
+}
+
+export class X25519PublicKey extends BinaryData {
+  constructor(data) {
+    super(data);
+    checkRawKey(data, "X25519 public key");
+  }
+
+  // Converts an Ed25519 public key to its X25519 form
+  static fromEd25519(publicKey) {
+    assertType({ publicKey }, PublicKey);
+    return new X25519PublicKey(edwardsToMontgomeryPub(publicKey.toBinary()));
+  }
+
+  // Calculates RIPEMD-160 hash of the public key, like PublicKey.id
+  get id() {
+    return bytesToHex(ripemd160(this.data));
+  }
+
+  // Encrypts data for this public key; options.aad as for encryptMessage
+  encrypt(messageData, options = {}) {
+    return encryptMessage(messageData, this, options);
+  }
+
+  // Export raw key as Base64
+  exportAsBase64() {
+    return this.toBase64();
+  }
+
+  // Import from Base64 encoded raw key
+  static importFromBase64(base64Key) {
+    return BinaryData.fromBase64(base64Key, X25519PublicKey);
+  }
+
+  // Export raw key as lowercase hex
+  exportAsHex() {
+    return this.toHex();
+  }
+
+  // Import from a hex encoded raw 32-byte key
+  static importFromHex(hexKey) {
+    return new X25519PublicKey(parseHexKey(hexKey, "X25519 public key"));
+  }
+
+  // Exports the key as SubjectPublicKeyInfo (RFC 8410); options.format: "pem" (default) or "der"
+  exportSpki(options = {}) {
+    return formatDer(
+      encodeSpki("X25519", this.data),
+      "PUBLIC KEY",
+      options.format,
+    );
+  }
+
+  // Imports an X25519 SubjectPublicKeyInfo from PEM text or DER bytes
+  static importSpki(spki) {
+    const { algorithm, publicKey } = decodeSpki(readDer(spki, "PUBLIC KEY"));
+    requireAlgorithm(algorithm, "X25519", "SubjectPublicKeyInfo");
+    return new X25519PublicKey(publicKey);
+  }
+
+  // Exports a public JWK (RFC 8037): { kty: "OKP", crv: "X25519", x }
+  exportJwk() {
+    return { kty: "OKP", crv: "X25519", x: bytesToBase64Url(this.data) };
+  }
+
+  // Imports a public X25519 JWK; private members are ignored
+  static importJwk(jwk) {
+    checkJwk(jwk, "JWK", "X25519");
+    return new X25519PublicKey(jwkField(jwk, "x", "JWK", "X25519"));
+  }
+}
+
+// --- Secret Keys ---
+
+// Secret-key suite ID -> AEAD; keys for encryption and MACs are HKDF subkeys of the
+// secret key, labeled by purpose, so one SecretKey can safely do both.
+const SECRET_KEY_AEADS = {
+  [SECRET_KEY_GCM_SIV_SUITE]: ECIES_AEADS["AES-256-GCM-SIV"],
+  [SECRET_KEY_XCHACHA_SUITE]: ECIES_AEADS["XChaCha20-Poly1305"],
+};
+const SECRET_KEY_INFO_PREFIX = "suite25519-secret-key:";
+
+function secretKeySuite(aeadName = DEFAULT_ECIES_AEAD) {
+  const aead = eciesAead(aeadName);
+  return Object.keys(SECRET_KEY_AEADS).find(
+    (suite) => SECRET_KEY_AEADS[suite] === aead,
+  );
+}
+
+function expandSecretKey(key, purpose, salt) {
+  const info = new TextEncoder().encode(SECRET_KEY_INFO_PREFIX + purpose);
+  return hkdf(sha256, key, salt, info, KEY_LENGTH);
+}
+
+// Symmetric 32-byte key shared by parties that already agree on a secret
+// (e.g. from deriveSharedSecret) or used alone for at-rest encryption.
+export class SecretKey extends BinaryData {
+  constructor(data) {
+    super(data);
+    checkRawKey(data, "secret key");
+  }
+
+  // Creates a new random secret key
+  static randomSecretKey() {
+    return new SecretKey(randomBytes(KEY_LENGTH));
+  }
+
+  /**
+   * Derives an independent subkey (HKDF-SHA256), e.g. one per database column or protocol step.
+   * The same key, label and salt always give the same subkey.
+   * @param {string | Uint8Array} label - Purpose of the subkey.
+   * @param {object} [options]
+   * @param {string | Uint8Array} [options.salt] - Optional HKDF salt.
+   * @returns {SecretKey}
+   */
+  deriveSubkey(label, options = {}) {
+    const labelBytes = optionBytes({ label });
+    if (labelBytes.length === 0) {
+      throw new TypeValidationError("Subkey label must not be empty.");
+    }
+    const info = new TextEncoder().encode(`${SECRET_KEY_INFO_PREFIX}subkey:`);
+    const fullInfo = new Uint8Array(info.length + labelBytes.length);
+    fullInfo.set(info, 0);
+    fullInfo.set(labelBytes, info.length);
+    return new SecretKey(
+      hkdf(
+        sha256,
+        this.data,
+        optionBytes({ salt: options.salt }),
+        fullInfo,
+        KEY_LENGTH,
+      ),
+    );
+  }
+
+  /**
+   * Encrypts data under this key.
+   * @param {string | Uint8Array | Message} messageData - The data to encrypt.
+   * @param {object} [options]
+   * @param {string | Uint8Array} [options.aad] - Associated data, authenticated but not encrypted.
+   * @param {"AES-256-GCM-SIV" | "XChaCha20-Poly1305"} [options.aead="AES-256-GCM-SIV"] - AEAD cipher, recorded in the payload.
+   * @returns {Uint8Array} - CBOR-encoded envelope around {N, C}.
+   */
+  encrypt(messageData, options = {}) {
+    const message =
+      messageData instanceof Message ? messageData : new Message(messageData);
+    const aad = optionBytes({ aad: options.aad });
+    const suite = secretKeySuite(options.aead);
+    const aead = SECRET_KEY_AEADS[suite];
+    const key = expandSecretKey(this.data, suite);
+    const nonce = randomBytes(aead.nonceLength);
+    const ciphertext = aead.cipher(key, nonce, aad).encrypt(message.toBinary());
+    return sealEnvelope(suite, { N: nonce, C: ciphertext });
+  }
+
+  // Decrypts a payload from encrypt(); options.aad must match the one used for encryption
+  decrypt(encryptedPayload, options = {}) {
+    assertType({ encryptedPayload }, Uint8Array);
+    const aad = optionBytes({ aad: options.aad });
+    const { suite, body } = openEnvelope(encryptedPayload, "sym");
+    const aead = SECRET_KEY_AEADS[suite];
+    const { N, C } = body;
+    if (!(N instanceof Uint8Array) || !(C instanceof Uint8Array)) {
+      throw new DecodeError(
+        "Invalid encrypted payload structure after CBOR decoding.",
+      );
+    }
+    checkNonce(N, aead);
+    try {
+      return new Message(
+        aead.cipher(expandSecretKey(this.data, suite), N, aad).decrypt(C),
+      );
+    } catch (error) {
+      throw new DecryptionError(
+        "Decryption failed (authentication tag mismatch or other error)",
+        { cause: error },
+      );
+    }
+  }
+
+  // HMAC-SHA256 tag (32 bytes) over data (string or Uint8Array), keyed with the MAC subkey
+  mac(messageData) {
+    const message =
+      messageData instanceof Message ? messageData : new Message(messageData);
+    return hmac(
+      sha256,
+      expandSecretKey(this.data, "HMAC-SHA256"),
+      message.toBinary(),
+    );
+  }
+
+  // Checks a tag from mac() in constant time
+  verifyMac(messageData, tag) {
+    assertType({ tag }, Uint8Array);
+    return equalBytes(this.mac(messageData), tag);
+  }
+
+  // Export raw key as Base64
+  exportAsBase64() {
+    return this.toBase64();
+  }
+
+  // Import from Base64 encoded raw key
+  static importFromBase64(base64Key) {
+    return BinaryData.fromBase64(base64Key, SecretKey);
+  }
+}
+
+// --- Signed Claims ---
+
+// Optional claims (issued-at, not-before, expiry, nonce, audience) are CBOR-encoded
+// into 'h' and signed together with the message:
+// domain || uint32 BE claims length || claims || message (or its SHA-512 digest for Ed25519ph).
+const CLAIMS_DOMAIN = new TextEncoder().encode("suite25519-claims-v1");
+const CLAIM_NAMES = ["iat", "nbf", "exp", "nonce", "aud"];
+const CLAIM_NONCE_LENGTH = 16;
+const DEFAULT_CLOCK_SKEW = 60; // seconds
+
+// Frees a slot in a full cache by sweeping expired entries, only when one can have
+// expired. Live nonces are never evicted: that would reopen their replay window.
+function makeReplayCacheRoom(cache, now) {
+  if (now >= cache.nextExpiry) {
+    cache.nextExpiry = Infinity;
+    for (const [entry, expiry] of cache.entries) {
+      if (expiry <= now) cache.entries.delete(entry);
+      else cache.nextExpiry = Math.min(cache.nextExpiry, expiry);
+    }
+  }
+  if (cache.entries.size >= cache.maxEntries) {
+    logDebug(`Replay cache full: ${cache.entries.size} live nonces.`);
+    throw new ClaimValidationError(
+      "REPLAY_CACHE_FULL",
+      "Verification failed: Replay cache is full; the nonce cannot be recorded.",
+    );
+  }
+}
+
+/**
+ * In-memory replay cache for `verifyMessage`'s `replayCache` option.
+ * Nonces are kept until their payload expires (plus clock skew). Once `maxEntries`
+ * live nonces are held, new ones fail with REPLAY_CACHE_FULL until some expire,
+ * so give nonces an expiry.
+ */
+export class MemoryReplayCache {
+  constructor({ maxEntries = 100000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // key -> expiry (ms)
+    this.nextExpiry = Infinity; // no entry expires before this (ms)
+  }
+
+  // Records `key` until `expiresAt` (ms); returns false if it is already recorded
+  add(key, expiresAt, now = Date.now()) {
+    // Expired entries count as absent; they are only swept once the cache fills up
+    const expiry = this.entries.get(key);
+    if (expiry !== undefined && expiry > now) return false;
+    this.entries.delete(key);
+    if (this.entries.size >= this.maxEntries) {
+      makeReplayCacheRoom(this, now);
+    }
+    this.entries.set(key, expiresAt);
+    this.nextExpiry = Math.min(this.nextExpiry, expiresAt);
+    return true;
+  }
+}
+
+// Seconds since the epoch from a Date or a number of seconds
+function claimTime(name, value) {
+  const seconds =
+    value instanceof Date ? Math.floor(value.getTime() / 1000) : value;
+  if (!Number.isSafeInteger(seconds) || seconds < 0) {
+    throw new TypeValidationError(
+      `Invalid claim ${name}: Expected a Date or whole seconds since the epoch.`,
+    );
+  }
+  return seconds;
+}
+
+const clockSeconds = (clock) => {
+  const now = clock();
+  return Math.floor((now instanceof Date ? now.getTime() : now) / 1000);
+};
+
+// Validates the caller's claims and returns their CBOR encoding; iat defaults to now
+function encodeClaims(claims, clock = Date.now) {
+  if (!isPlainObject(claims)) {
+    throw new TypeValidationError("Invalid claims: Expected a plain object.");
+  }
+  const unknown = Object.keys(claims).find(
+    (name) => !CLAIM_NAMES.includes(name),
+  );
+  if (unknown !== undefined)
+    throw new TypeValidationError(`Unknown claim: ${unknown}.`);
+
+  const encoded = { iat: claimTime("iat", claims.iat ?? clockSeconds(clock)) };
+  if (claims.nbf !== undefined) encoded.nbf = claimTime("nbf", claims.nbf);
+  if (claims.exp !== undefined) {
+    encoded.exp = claimTime("exp", claims.exp);
+    if (encoded.exp <= Math.max(encoded.iat, encoded.nbf ?? 0)) {
+      throw new TypeValidationError(
+        "Invalid claims: exp must be after iat and nbf.",
+      );
+    }
+  }
+  if (claims.nonce !== undefined) {
+    // `nonce: true` draws a random nonce
+    encoded.nonce =
+      claims.nonce === true
+        ? randomBytes(CLAIM_NONCE_LENGTH)
+        : optionBytes({ nonce: claims.nonce });
+    if (encoded.nonce.length === 0) {
+      throw new TypeValidationError("Invalid claims: nonce must not be empty.");
+    }
+  }
+  if (claims.aud !== undefined) {
+    assertType({ aud: claims.aud }, "string");
+    encoded.aud = claims.aud;
+  }
+  return encode(encoded);
+}
+
+function decodeClaims(h) {
+  let claims;
+  try {
+    claims = decode(h, decodeLimits);
+  } catch {
+    claims = undefined;
+  }
+  const types = {
+    iat: Number.isSafeInteger,
+    nbf: Number.isSafeInteger,
+    exp: Number.isSafeInteger,
+    nonce: (value) => value instanceof Uint8Array && value.length > 0,
+    aud: (value) => typeof value === "string",
+  };
+  if (
+    !isPlainObject(claims) ||
+    claims.iat === undefined ||
+    !Object.keys(claims).every(
+      (name) => types.hasOwnProperty(name) && types[name](claims[name]),
+    )
+  ) {
+    throw new DecodeError("Invalid signed payload: Malformed claims 'h'.");
+  }
+  return claims;
+}
+
+function claimsTbs(h, messageBinary) {
+  const tbs = new Uint8Array(
+    CLAIMS_DOMAIN.length + 4 + h.length + messageBinary.length,
+  );
+  tbs.set(CLAIMS_DOMAIN, 0);
+  new DataView(tbs.buffer).setUint32(CLAIMS_DOMAIN.length, h.length);
+  tbs.set(h, CLAIMS_DOMAIN.length + 4);
+  tbs.set(messageBinary, CLAIMS_DOMAIN.length + 4 + h.length);
+  return tbs;
+}
+
+// The bytes (Message) or digest (MessageDigest) that the signature covers
+function claimsSigned(h, message) {
+  if (h === undefined) return message;
+  if (message instanceof MessageDigest) {
+    return new MessageDigest(sha512(claimsTbs(h, message.toBinary())));
+  }
+  return new Message(claimsTbs(h, message.toBinary()));
+}
+
+/**
+ * Checks verified claims against the verifier's expectations.
+ * options: clock (() => ms or Date, default Date.now), clockSkew (seconds, default 60),
+ * audience (expected 'aud'), replayCache ({ add(key, expiresAtMs, nowMs) => boolean }).
+ */
+function checkClaims(claims, verifyingKey, options) {
+  const {
+    clock = Date.now,
+    clockSkew = DEFAULT_CLOCK_SKEW,
+    audience,
+    replayCache,
+  } = options;
+  if (claims === undefined) {
+    // Unclaimed payloads only pass when the verifier expects no audience or nonce
+    claims = {};
+  } else {
+    const now = clockSeconds(clock);
+    if (claims.iat > now + clockSkew) {
+      throw new ClaimValidationError(
+        "ISSUED_IN_FUTURE",
+        "Verification failed: Payload was issued in the future (iat).",
+      );
+    }
+    if (claims.nbf !== undefined && claims.nbf > now + clockSkew) {
+      throw new ClaimValidationError(
+        "NOT_YET_VALID",
+        "Verification failed: Payload is not valid yet (nbf).",
+      );
+    }
+    if (claims.exp !== undefined && claims.exp <= now - clockSkew) {
+      throw new ClaimValidationError(
+        "EXPIRED",
+        "Verification failed: Payload has expired (exp).",
+      );
+    }
+  }
+  if (claims.aud !== audience) {
+    throw new ClaimValidationError(
+      "AUDIENCE_MISMATCH",
+      "Verification failed: Payload audience (aud) does not match the expected audience.",
+    );
+  }
+  if (replayCache !== undefined) {
+    if (claims.nonce === undefined) {
+      throw new ClaimValidationError(
+        "NONCE_REQUIRED",
+        "Verification failed: Payload has no nonce for replay protection.",
+      );
+    }
+    // Nonces are scoped to the signer
+    const key = `${verifyingKey.id}:${bytesToHex(claims.nonce)}`;
+    const expiresAt =
+      claims.exp === undefined ? Infinity : (claims.exp + clockSkew) * 1000;
+    if (!replayCache.add(key, expiresAt, clockSeconds(clock) * 1000)) {
+      throw new ClaimValidationError(
+        "REPLAYED",
+        "Verification failed: Nonce has already been used (replay).",
+      );
+    }
+  }
+}
+
+// --- Recipient-Bound Signcryption ---
+
+// The signature covers the message together with the recipient's Ed25519 key (R)
+// and the ECIES ephemeral key (E), so a decrypted signed payload cannot be
+// re-encrypted to a third party and still verify there.
+const SIGNCRYPTION_DOMAIN = new TextEncoder().encode(
+  "suite25519-signcryption-v1",
+);
+
+// R and E are fixed-length, so the concatenation is unambiguous
+function signcryptionTbs(
+  messageBinary,
+  recipientPublicKeyEd,
+  ephemeralPublicKeyX,
+) {
+  const tbs = new Uint8Array(
+    SIGNCRYPTION_DOMAIN.length + 64 + messageBinary.length,
+  );
+  tbs.set(SIGNCRYPTION_DOMAIN, 0);
+  tbs.set(recipientPublicKeyEd, SIGNCRYPTION_DOMAIN.length);
+  tbs.set(ephemeralPublicKeyX, SIGNCRYPTION_DOMAIN.length + 32);
+  tbs.set(messageBinary, SIGNCRYPTION_DOMAIN.length + 64);
+  return tbs;
+}
+
+const isBound = (body) => body.R !== undefined || body.E !== undefined;
+
+// Validates the common {sig, m, P} fields of a signed body
+function checkSignedBody({ sig, m, P, c, h }) {
+  if (!sig || !(sig instanceof Uint8Array)) {
+    throw new DecodeError(
+      "Invalid signed payload: Missing or invalid signature.",
+    );
+  }
+  if (m !== undefined && !(m instanceof Uint8Array)) {
+    throw new DecodeError(
+      'Invalid signed payload: Included message "m" is not Uint8Array.',
+    );
+  }
+  if (P !== undefined && !(P instanceof Uint8Array)) {
+    throw new DecodeError(
+      'Invalid signed payload: Included public key "P" is not Uint8Array.',
+    );
+  }
+  if (
+    c !== undefined &&
+    !(c instanceof Uint8Array && c.length > 0 && c.length <= MAX_CONTEXT_LENGTH)
+  ) {
+    throw new DecodeError(
+      'Invalid signed payload: Context "c" must be 1 to 255 bytes.',
+    );
+  }
+  if (h !== undefined && !(h instanceof Uint8Array)) {
+    throw new DecodeError(
+      'Invalid signed payload: Claims "h" is not Uint8Array.',
+    );
+  }
+}
+
+// Returns the key to verify with: the expected one (checked against 'P'), or 'P' when trusted
+function resolveVerifyingKey(P, senderPublicKey) {
+  if (senderPublicKey == null) {
+    // Caller opted into trusting the embedded key
+    if (!P) {
+      throw new TypeValidationError(
+        "Verification failed: No senderPublicKey given and public key 'P' not included in the signed payload.",
+      );
+    }
+    return new PublicKey(P);
+  }
+  if (P) {
+    // If Public Key is included in payload, verify it matches the expected one
+    const includedPublicKey = new PublicKey(P);
+    if (includedPublicKey.id !== senderPublicKey.id) {
+      throw new KeyMismatchError(
+        "Verification failed: Included public key 'P' does not match expected senderPublicKey.",
+      );
+    }
+  }
+  return senderPublicKey;
+}
+
+// Verifies a recipient-bound signed body against the outer encryption layer
+function verifyBoundBody(
+  body,
+  senderPublicKey,
+  recipientPublicKeyEd,
+  ephemeralPublicKeyX,
+  claimOptions = {},
+) {
+  checkSignedBody(body);
+  const { sig, m, P, R, E, h } = body;
+  if (
+    !(R instanceof Uint8Array) ||
+    R.length !== 32 ||
+    !(E instanceof Uint8Array) ||
+    E.length !== 32 ||
+    m === undefined
+  ) {
+    throw new DecodeError(
+      "Invalid signed payload: Malformed recipient binding.",
+    );
+  }
+  const verifyingKey = resolveVerifyingKey(P, senderPublicKey);
+
+  const claims = h === undefined ? undefined : decodeClaims(h);
+  const signed = claimsSigned(h, new Message(m)).toBinary();
+  const tbs = new Message(signcryptionTbs(signed, R, E));
+  if (!verifyingKey.verify(tbs, new Signature(sig))) {
+    throw new SignatureInvalidError("Verification failed: Invalid signature.");
+  }
+  // Authentic, but was it addressed to us through this very envelope?
+  if (
+    ephemeralPublicKeyX === undefined ||
+    !equalBytes(R, recipientPublicKeyEd) ||
+    !equalBytes(E, ephemeralPublicKeyX)
+  ) {
+    throw new RecipientBindingError(
+      "Verification failed: Signed payload is bound to a different recipient or envelope (surreptitious forwarding).",
+    );
+  }
+  checkClaims(claims, verifyingKey, claimOptions);
+  return m;
+}
+
+// --- High-Level API Functions ---
+
+/**
+ * Describes a payload without decrypting or verifying it.
+ * @param {Uint8Array} payload - Any CBOR payload produced by this library (envelope or legacy 1.0.x).
+ * @returns {{version: number, type: string, suite: string, params: object | undefined}} - version is 0 for legacy payloads; type is "sig", "enc" or "stream".
+ * @throws {DecodeError} If the payload is not a recognized envelope or legacy structure.
+ */
+export const describePayload = (payload) => {
+  assertType({ payload }, Uint8Array);
+  const { version, type, suite, params } = openEnvelope(payload);
+  return { version, type, suite, params };
+};
+
+/**
+ * Computes the SHA-512 digest used by the prehash signing mode.
+ * Accepts in-memory data as well as streams, so large inputs can be signed/verified incrementally.
+ * @param {string | Uint8Array | Message | Iterable<Uint8Array | string> | AsyncIterable<Uint8Array | string> | ReadableStream<Uint8Array>} source - The message or its chunks.
+ * @returns {Promise<MessageDigest>} - The message digest.
+ */
+export const prehashMessage = async (source) => {
+  if (
+    source instanceof Message ||
+    source instanceof Uint8Array ||
+    typeof source === "string"
+  ) {
+    return MessageDigest.fromMessage(source);
+  }
+
+  const hash = sha512.create();
+  const absorb = (chunk) => {
+    const message = chunk instanceof Message ? chunk : new Message(chunk);
+    hash.update(message.toBinary());
+  };
+
+  if (typeof source?.getReader === "function") {
+    // WHATWG ReadableStream (not async-iterable in every browser)
+    const reader = source.getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        absorb(value);
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  } else if (
+    typeof source?.[Symbol.asyncIterator] === "function" ||
+    typeof source?.[Symbol.iterator] === "function"
+  ) {
+    for await (const chunk of source) {
+      absorb(chunk);
+    }
+  } else {
+    throw new TypeValidationError(
+      "prehashMessage: Expected a string, Uint8Array, Message, iterable or ReadableStream.",
+    );
+  }
+  return new MessageDigest(hash.digest());
+};
+
+/**
+ * Signs a message and returns a CBOR-encoded structure.
+ * In prehash mode the signature is Ed25519ph over SHA-512(message) and the envelope suite is "Ed25519ph".
+ * A signing context selects Ed25519ctx (or Ed25519ph with that context) and is recorded as 'c',
+ * so a signature made for one purpose does not verify for another.
+ * @param {string | Uint8Array | Message | MessageDigest} plainMessage - The message to sign, or its digest (prehash mode only).
+ * @param {PrivateKey} signingPrivateKey - The private key for signing.
+ * @param {boolean} [includeMessage=false] - Whether to include the original message in the output.
+ * @param {boolean} [includeSenderPublicKey=false] - Whether to include the sender's public key in the output.
+ * @param {object} [options]
+ * @param {boolean} [options.prehash=false] - Sign with Ed25519ph; implied when plainMessage is a MessageDigest.
+ * @param {string | Uint8Array} [options.context] - Signing context (1-255 bytes), e.g. "login" or "transaction".
+ * @param {object} [options.claims] - Signed claims recorded as 'h': iat (defaults to now), nbf, exp
+ *   (Date or seconds since the epoch), nonce (bytes/string, or true for a random one) and aud (string).
+ * @param {function(): (number | Date)} [options.clock=Date.now] - Clock for the default iat.
+ * @returns {Uint8Array} - CBOR-encoded signature envelope with body {sig, m?, P?, c?, h?}.
+ */
+export const signMessage = (
+  plainMessage,
+  signingPrivateKey,
+  includeMessage = false,
+  includeSenderPublicKey = false,
+  options = {},
+) => {
+  assertType({ signingPrivateKey }, PrivateKey);
+  assertType({ includeMessage }, "boolean");
+  assertType({ includeSenderPublicKey }, "boolean");
+  const prehash = options.prehash ?? plainMessage instanceof MessageDigest;
+  assertType({ prehash }, "boolean");
+  const context = contextBytes(options.context);
+  const h =
+    options.claims === undefined
+      ? undefined
+      : encodeClaims(options.claims, options.clock);
+
+  const result = {};
+
+  if (plainMessage instanceof MessageDigest) {
+    if (!prehash) {
+      throw new TypeValidationError(
+        "A MessageDigest can only be signed in prehash mode.",
+      );
+    }
+    if (includeMessage) {
+      throw new TypeValidationError(
+        "Cannot include the message when signing a MessageDigest.",
+      );
+    }
+    result.sig = signingPrivateKey
+      .signPrehashed(claimsSigned(h, plainMessage), { context })
+      .toBinary();
+  } else {
+    const message =
+      plainMessage instanceof Message
+        ? plainMessage
+        : new Message(plainMessage);
+    const messageBinary = message.toBinary(); // Ensure we get Uint8Array
+
+    result.sig = prehash
+      ? signingPrivateKey
+          .signPrehashed(claimsSigned(h, MessageDigest.fromMessage(message)), {
+            context,
+          })
+          .toBinary()
+      : signingPrivateKey
+          .sign(claimsSigned(h, message), { context })
+          .toBinary();
+
+    if (includeMessage) {
+      result.m = messageBinary; // Add original message (Uint8Array)
+    }
+  }
+  if (includeSenderPublicKey) {
+    result.P = signingPrivateKey.publicKey.toBinary(); // Add public key (Uint8Array)
+  }
+  if (context.length) {
+    result.c = context;
+  }
+  if (h !== undefined) {
+    result.h = h;
+  }
+
+  // The suite ID records the signing mode
+  const suite = prehash
+    ? "Ed25519ph"
+    : context.length
+      ? "Ed25519ctx"
+      : "Ed25519";
+  return sealEnvelope(suite, result); // Returns Uint8Array
+};
+
+// Resolves the verifying key ('P' unless senderPublicKey is given) and checks it against an address
+function resolveAddressKey(P, senderPublicKey, expectedAddress) {
+  const address =
+    expectedAddress instanceof Address
+      ? expectedAddress
+      : Address.parse(expectedAddress);
+  if (senderPublicKey == null && !P) {
+    throw new KeyMismatchError(
+      "Verification failed: Public key 'P' not included in the signed payload; cannot check the expected address.",
+    );
+  }
+  const verifyingKey =
+    senderPublicKey == null
+      ? new PublicKey(P)
+      : resolveVerifyingKey(P, senderPublicKey);
+  if (!address.isFor(verifyingKey)) {
+    throw new KeyMismatchError(
+      "Verification failed: Signer does not match the expected address.",
+    );
+  }
+  return verifyingKey;
+}
+
+// Decodes a signed payload and resolves the key, message and signature to check
+function openSignedPayload(signedPayload, senderPublicKey, options) {
+  assertType({ signedPayload }, Uint8Array);
+  const {
+    message: detachedMessage,
+    trustEmbeddedKey = false,
+    expectedAddress,
+  } = options;
+  assertType({ trustEmbeddedKey }, "boolean");
+  if (
+    senderPublicKey != null ||
+    (!trustEmbeddedKey && expectedAddress === undefined)
+  ) {
+    assertType({ senderPublicKey }, PublicKey);
+  }
+  const context = contextBytes(options.context);
+
+  const { suite, body } = openEnvelope(signedPayload, "sig"); // Decode the CBOR envelope
+  const { sig, m, P, c, h } = body;
+  const ph = suite === "Ed25519ph";
+
+  // Basic structure check
+  checkSignedBody(body);
+  if (c !== undefined ? suite === "Ed25519" : suite === "Ed25519ctx") {
+    throw new DecodeError(
+      `Invalid signed payload: Context 'c' does not fit suite ${suite}.`,
+    );
+  }
+  // The context must be the one the caller expects; 'c' alone is never trusted
+  if (!equalBytes(c ?? new Uint8Array(0), context)) {
+    throw new SignatureInvalidError(
+      "Verification failed: Signing context does not match the expected context.",
+    );
+  }
+  if (isBound(body)) {
+    throw new SignatureInvalidError(
+      "Verification failed: Signed payload is recipient-bound; verify it with decryptAndVerifyMessage.",
+    );
+  }
+
+  const verifyingKey =
+    expectedAddress === undefined
+      ? resolveVerifyingKey(P, senderPublicKey)
+      : resolveAddressKey(P, senderPublicKey, expectedAddress);
+
+  // Determine the message to verify: the included 'm' or the detached one
+  let message;
+  if (detachedMessage === undefined) {
+    if (m === undefined) {
+      throw new TypeValidationError(
+        "Verification failed: Message 'm' not included in the signed payload and no detached message supplied.",
+      );
+    }
+    message = new Message(m);
+  } else if (detachedMessage instanceof MessageDigest) {
+    if (!ph) {
+      throw new TypeValidationError(
+        "Verification failed: A MessageDigest can only verify a prehash (Ed25519ph) payload.",
+      );
+    }
+    if (
+      m !== undefined &&
+      !equalBytes(
+        MessageDigest.fromMessage(m).toBinary(),
+        detachedMessage.toBinary(),
+      )
+    ) {
+      throw new SignatureInvalidError(
+        "Verification failed: Supplied message does not match the included message 'm'.",
+      );
+    }
+    message = detachedMessage;
+  } else {
+    message =
+      detachedMessage instanceof Message
+        ? detachedMessage
+        : new Message(detachedMessage);
+    if (m !== undefined && !equalBytes(m, message.toBinary())) {
+      throw new SignatureInvalidError(
+        "Verification failed: Supplied message does not match the included message 'm'.",
+      );
+    }
+  }
+
+  // What the signature covers: the message (digest for Ed25519ph), bound to any claims
+  const signed = claimsSigned(
+    h,
+    ph && !(message instanceof MessageDigest)
+      ? MessageDigest.fromMessage(message)
+      : message,
+  );
+  const claims = h === undefined ? undefined : decodeClaims(h);
+
+  const signature = new Signature(sig);
+  return { verifyingKey, message, signed, signature, ph, context, claims };
+}
+
+/**
+ * Verifies a signed message payload, attached or detached.
+ * For detached payloads (signed with includeMessage=false) pass the message via `options.message`;
+ * prehash payloads also accept the MessageDigest from prehashMessage() for streamed input.
+ * @param {Uint8Array} signedPayload - The CBOR-encoded signed message envelope (or legacy 1.0.x structure).
+ * @param {PublicKey | null} senderPublicKey - The expected public key of the sender. May be null when `options.trustEmbeddedKey` or `options.expectedAddress` is set.
+ * @param {object} [options]
+ * @param {string | Uint8Array | Message | MessageDigest} [options.message] - The externally supplied message for detached payloads.
+ * @param {boolean} [options.trustEmbeddedKey=false] - Verify against the embedded public key 'P' when no senderPublicKey is given.
+ * @param {string | Address} [options.expectedAddress] - Require the signer (the embedded 'P' unless senderPublicKey is given) to have this address.
+ * @param {string | Uint8Array} [options.context] - The signing context the payload must carry; omit for context-free payloads.
+ * @param {function(): (number | Date)} [options.clock=Date.now] - Clock for the iat / nbf / exp checks.
+ * @param {number} [options.clockSkew=60] - Allowed clock difference in seconds.
+ * @param {string} [options.audience] - Expected 'aud' claim; payloads with an audience require it.
+ * @param {{add(key: string, expiresAt: number, now: number): boolean}} [options.replayCache] - Records nonces
+ *   (e.g. a MemoryReplayCache); payloads without a nonce, or with a reused one, are rejected.
+ * @returns {Uint8Array | null} - The verified message (Uint8Array), or null when verified against a MessageDigest.
+ * @throws {ClaimValidationError} If the signature is valid but a claim check fails.
+ * @throws {SignatureInvalidError} If the signature, message or context does not verify.
+ * @throws {KeyMismatchError} If the signer is not senderPublicKey or the expected address.
+ * @throws {DecodeError} If the payload is malformed.
+ */
+export const verifyMessage = (signedPayload, senderPublicKey, options = {}) => {
+  const { verifyingKey, message, signed, signature, ph, context, claims } =
+    openSignedPayload(signedPayload, senderPublicKey, options);
+
+  // Perform the actual verification
+  const valid = ph
+    ? verifyingKey.verifyPrehashed(signed, signature, { context })
+    : verifyingKey.verify(signed, signature, { context });
+  return verifiedMessage(valid, verifyingKey, message, claims, options);
+};
+
+// Result of verifyMessage / verifyMessageAsync once the signature has been checked
+function verifiedMessage(valid, verifyingKey, message, claims, options) {
+  if (!valid) {
+    throw new SignatureInvalidError("Verification failed: Invalid signature.");
+  }
+  checkClaims(claims, verifyingKey, options);
+
+  // Verification successful
+  return message instanceof MessageDigest ? null : message.toBinary(); // Return the verified message content (Uint8Array)
+}
+
+// Normalizes a signature given as Signature or raw bytes
+const signatureBytes = (signature) =>
+  signature instanceof Signature ? signature.toBinary() : signature;
+
+/**
+ * Verifies many detached Ed25519 signatures with randomized batch verification.
+ * If the batch fails, the entries are checked individually to locate the bad ones.
+ * Invalid signatures and malformed keys yield `false`; nothing is logged.
+ * @param {{publicKey: PublicKey, message: string | Uint8Array | Message, signature: Signature | Uint8Array}[]} items
+ * @param {object} [options]
+ * @param {boolean} [options.zip215=false] - Accept per ZIP-215 instead of strict RFC 8032 / FIPS 186-5 rules.
+ * @returns {boolean[]} - One result per item, in input order.
+ */
+export const verifyBatch = (items, options = {}) => {
+  const { zip215 = false } = options;
+  assertType({ zip215 }, "boolean");
+  return verifyEd25519Batch(
+    items.map(({ publicKey, message: messageData, signature }) => {
+      assertType({ publicKey }, PublicKey);
+      const message =
+        messageData instanceof Message ? messageData : new Message(messageData);
+      const sig = signatureBytes(signature);
+      assertType({ signature: sig }, Uint8Array);
+      return {
+        publicKey: publicKey.toBinary(),
+        message: message.toBinary(),
+        signature: sig,
+      };
+    }),
+    { zip215 },
+  );
+};
+
+// Verifies an opened Ed25519ctx / Ed25519ph payload; errors count as invalid, nothing is logged
+function verifyOpenedPayload(
+  { verifyingKey, signed, signature, ph, context },
+  zip215,
+) {
+  const options = { context, zip215 };
+  try {
+    return (ph ? ed25519phDigest : ed25519ctx).verify(
+      signature.toBinary(),
+      signed.toBinary(),
+      verifyingKey.toBinary(),
+      options,
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Verifies many signed payloads (as produced by signMessage) in one call.
+ * Ed25519 payloads are checked with randomized batch verification; Ed25519ctx and
+ * Ed25519ph payloads individually. Failures are reported per item instead of thrown.
+ * @param {{payload: Uint8Array, publicKey: PublicKey | null, message?: string | Uint8Array | Message | MessageDigest, trustEmbeddedKey?: boolean, context?: string | Uint8Array, audience?: string}[]} items
+ *   - Per-item arguments as for verifyMessage.
+ * @param {object} [options] - Claim options (clock, clockSkew, audience, replayCache) as for verifyMessage apply to every item.
+ * @param {boolean} [options.zip215=false] - Accept per ZIP-215 instead of strict RFC 8032 / FIPS 186-5 rules.
+ * @returns {{valid: boolean, message?: Uint8Array | null, error?: Error}[]} - One result per item, in input order.
+ */
+export const verifyMessages = (items, options = {}) => {
+  const { zip215 = false, ...claimOptions } = options;
+  assertType({ zip215 }, "boolean");
+  const opened = items.map(({ payload, publicKey, ...verifyOptions }) => {
+    try {
+      return {
+        ...openSignedPayload(payload, publicKey, verifyOptions),
+        verifyOptions,
+      };
+    } catch (error) {
+      return { error };
+    }
+  });
+
+  const batchIndexes = [];
+  const batchItems = [];
+  // Pure Ed25519 goes into the batch; contexts change the challenge hash
+  const individually = ({ ph, context }) => ph || context.length > 0;
+  opened.forEach((item, i) => {
+    if (item.error || individually(item)) return;
+    const { verifyingKey, signed, signature } = item;
+    batchIndexes.push(i);
+    batchItems.push({
+      publicKey: verifyingKey.toBinary(),
+      message: signed.toBinary(),
+      signature: signature.toBinary(),
+    });
+  });
+  const batchResults = verifyEd25519Batch(batchItems, { zip215 });
+  const valid = new Map(
+    batchIndexes.map((index, j) => [index, batchResults[j]]),
+  );
+
+  return opened.map((item, i) => {
+    if (item.error) return { valid: false, error: item.error };
+    const { message } = item;
+    if (individually(item)) {
+      valid.set(i, verifyOpenedPayload(item, zip215));
+    }
+    if (!valid.get(i)) {
+      return {
+        valid: false,
+        error: new SignatureInvalidError(
+          "Verification failed: Invalid signature.",
+        ),
+      };
+    }
+    try {
+      checkClaims(item.claims, item.verifyingKey, {
+        ...claimOptions,
+        ...item.verifyOptions,
+      });
+    } catch (error) {
+      return { valid: false, error };
+    }
+    return {
+      valid: true,
+      message: message instanceof MessageDigest ? null : message.toBinary(),
+    };
+  });
+};
+
+/**
+ * Encrypts a message for one or more recipients.
+ * With an array of keys the body is encrypted once under a random content key,
+ * which is wrapped for each recipient in an unlabeled, shuffled slot.
+ * @param {string | Uint8Array | Message} plainMessage - The message to encrypt.
+ * @param {PublicKey | X25519PublicKey | (PublicKey | X25519PublicKey)[]} recipientPublicKey - The recipient's
+ *   Ed25519 or X25519 public key, or an array of them.
+ * @param {object} [options]
+ * @param {string | Uint8Array} [options.aad] - Associated data (e.g. a transaction or asset ID) that is authenticated but not encrypted.
+ * @param {"AES-256-GCM-SIV" | "XChaCha20-Poly1305"} [options.aead="AES-256-GCM-SIV"] - AEAD cipher, recorded in the
+ *   payload's suite ID. XChaCha20-Poly1305 is faster on devices without AES hardware.
+ * @returns {Uint8Array} - CBOR-encoded envelope around the ECIES body {C, P_e, N}, or {C, N, R} for multiple recipients.
+ */
+export const encryptMessage = (
+  plainMessage,
+  recipientPublicKey,
+  options = {},
+) => {
+  if (Array.isArray(recipientPublicKey)) {
+    return PublicKey.encryptForRecipients(
+      plainMessage,
+      recipientPublicKey,
+      options,
+    );
+  }
+  const receiverPublicKeyX = recipientPublicKeyX(recipientPublicKey);
+  const aad = optionBytes({ aad: options.aad });
+  const aead = eciesAead(options.aead);
+
+  const message =
+    plainMessage instanceof Message ? plainMessage : new Message(plainMessage);
+  const messageBinary = message.toBinary(); // Get Uint8Array
+
+  const cipherObject = eciesEncrypt(receiverPublicKeyX, messageBinary, aad, {
+    aead,
+  });
+
+  return sealEnvelope(aead.suite, cipherObject); // Envelope around {C, P_e, N}, returns Uint8Array
+};
+
+/**
+ * Decrypts an ECIES payload (single- or multi-recipient).
+ * @param {Uint8Array} encryptedPayload - The CBOR-encoded ECIES envelope (or legacy 1.0.x structure {C, P_e, N}).
+ * @param {PrivateKey | X25519PrivateKey} recipientPrivateKey - The private key of the recipient.
+ * @param {object} [options]
+ * @param {string | Uint8Array} [options.aad] - Associated data given at encryption; decryption fails if it differs.
+ * @returns {Uint8Array} - The decrypted plaintext message (Uint8Array).
+ * @throws {DecryptionError} If decryption fails, the AAD does not match, or no recipient entry matches the key.
+ * @throws {DecodeError} If the payload is malformed.
+ */
+export const decryptMessage = (
+  encryptedPayload,
+  recipientPrivateKey,
+  options = {},
+) => {
+  assertType({ encryptedPayload }, Uint8Array);
+  const receiverPrivateKeyX = recipientPrivateKeyX(recipientPrivateKey);
+  const aad = optionBytes({ aad: options.aad });
+
+  const opened = openEnvelope(encryptedPayload, "enc"); // Decode CBOR envelope
+
+  const messageBinary = decryptPayloadObject(receiverPrivateKeyX, opened, aad);
+
+  return messageBinary; // Return raw Uint8Array
+};
+
+/**
+ * Signs and then encrypts a message.
+ * @param {string | Uint8Array | Message} plainMessage - The message to sign and encrypt.
+ * @param {PrivateKey} signingPrivateKey - The sender's private key.
+ * @param {PublicKey | X25519PublicKey | (PublicKey | X25519PublicKey)[]} recipientPublicKey - The recipient's
+ *   public key, or an array of them. X25519 keys cannot be used with bindRecipient.
+ * @param {boolean} [includeSenderPublicKey=true] - Whether to include sender's public key in the signed part. Recommended.
+ * @param {object} [options]
+ * @param {string | Uint8Array} [options.aad] - Associated data bound to the encryption layer.
+ * @param {"AES-256-GCM-SIV" | "XChaCha20-Poly1305"} [options.aead="AES-256-GCM-SIV"] - AEAD of the encryption layer.
+ * @param {boolean} [options.bindRecipient=false] - Signcryption mode: the signature also covers the recipient's
+ *   public key and the ephemeral key, so the payload cannot be forwarded to someone else. Single recipient only.
+ * @param {object} [options.claims] - Signed claims, as for signMessage.
+ * @param {function(): (number | Date)} [options.clock=Date.now] - Clock for the default iat.
+ * @returns {Uint8Array} - CBOR-encoded ECIES structure containing the signed message payload.
+ */
+export const signAndEncryptMessage = (
+  plainMessage,
+  signingPrivateKey,
+  recipientPublicKey,
+  includeSenderPublicKey = true,
+  options = {},
+) => {
+  assertType({ signingPrivateKey }, PrivateKey);
+  if (Array.isArray(recipientPublicKey)) {
+    toRecipientKeyList(recipientPublicKey); // Validate before signing
+  } else {
+    recipientPublicKeyX(recipientPublicKey);
+  }
+  assertType({ includeSenderPublicKey }, "boolean");
+  const { bindRecipient = false } = options;
+  assertType({ bindRecipient }, "boolean");
+  const aead = eciesAead(options.aead);
+
+  if (bindRecipient) {
+    if (Array.isArray(recipientPublicKey)) {
+      throw new TypeValidationError(
+        "Recipient binding requires a single recipient.",
+      );
+    }
+    if (!(recipientPublicKey instanceof PublicKey)) {
+      throw new TypeValidationError(
+        "Recipient binding requires an Ed25519 recipient key.",
+      );
+    }
+    const message =
+      plainMessage instanceof Message
+        ? plainMessage
+        : new Message(plainMessage);
+    const messageBinary = message.toBinary();
+    const recipientPublicKeyEd = recipientPublicKey.toBinary();
+    const h =
+      options.claims === undefined
+        ? undefined
+        : encodeClaims(options.claims, options.clock);
+
+    // The ephemeral key must exist before signing so the signature can cover it
+    const ephemeralPrivateKeyX = x25519.utils.randomPrivateKey();
+    const ephemeralPublicKeyX = x25519.getPublicKey(ephemeralPrivateKeyX);
+    const tbs = signcryptionTbs(
+      claimsSigned(h, message).toBinary(),
+      recipientPublicKeyEd,
+      ephemeralPublicKeyX,
+    );
+
+    const body = {
+      sig: signingPrivateKey.sign(tbs).toBinary(),
+      m: messageBinary,
+      R: recipientPublicKeyEd,
+      E: ephemeralPublicKeyX,
+    };
+    if (includeSenderPublicKey) {
+      body.P = signingPrivateKey.publicKey.toBinary();
+    }
+    if (h !== undefined) {
+      body.h = h;
+    }
+    const cipherObject = eciesEncrypt(
+      edwardsToMontgomeryPub(recipientPublicKeyEd),
+      sealEnvelope("Ed25519", body),
+      optionBytes({ aad: options.aad }),
+      { ephemeralPrivateKeyX, aead },
+    );
+    return sealEnvelope(aead.suite, cipherObject);
+  }
+
+  // 1. Sign the message (including message and optionally public key) -> CBOR payload (Uint8Array)
+  // It's generally good to include the public key here so the recipient knows who signed it.
+  const signedPayload = signMessage(
+    plainMessage,
+    signingPrivateKey,
+    true,
+    includeSenderPublicKey,
+    { claims: options.claims, clock: options.clock },
+  );
+
+  // 2. Encrypt the *entire signed payload* for the recipient
+  const encryptedSignedPayload = encryptMessage(
+    signedPayload,
+    recipientPublicKey,
+    { aad: options.aad, aead: options.aead },
+  ); // encryptMessage handles CBOR encoding
+
+  return encryptedSignedPayload; // Returns the final CBOR-encoded Uint8Array {C, P_e, N}
+};
+
+// Verifies the signed payload decrypted from `opened` (the outer envelope)
+function verifyDecryptedPayload(
+  signedPayload,
+  opened,
+  recipientPrivateKey,
+  senderPublicKey,
+  claimOptions,
+  requireRecipientBinding,
+) {
+  const inner = openEnvelope(signedPayload, "sig");
+  if (isBound(inner.body)) {
+    // Signcryption: check the binding to this recipient and this envelope's ephemeral key
+    if (!(recipientPrivateKey instanceof PrivateKey)) {
+      throw new TypeValidationError(
+        "Verification failed: Recipient-bound payload requires the Ed25519 recipient key.",
+      );
+    }
+    return verifyBoundBody(
+      inner.body,
+      senderPublicKey,
+      recipientPrivateKey.publicKey.toBinary(),
+      opened.body.P_e,
+      claimOptions,
+    );
+  }
+  if (requireRecipientBinding) {
+    throw new SignatureInvalidError(
+      "Verification failed: Payload is not recipient-bound (signcryption required).",
+    );
+  }
+  // verifyMessage handles CBOR decoding and signature verification
+  return verifyMessage(signedPayload, senderPublicKey, claimOptions);
+}
+
+/**
+ * Decrypts and then verifies a message.
+ * @param {Uint8Array} encryptedSignedPayload - The CBOR-encoded ECIES payload from signAndEncryptMessage.
+ * @param {PrivateKey | X25519PrivateKey} recipientPrivateKey - The recipient's private key (for decryption).
+ * @param {PublicKey} senderPublicKey - The expected sender's public key (for verification).
+ * @param {object} [options]
+ * @param {string | Uint8Array} [options.aad] - Associated data given to signAndEncryptMessage.
+ * @param {boolean} [options.requireRecipientBinding=false] - Reject payloads not produced in signcryption mode.
+ * @param {function(): (number | Date)} [options.clock] - Claim checks (clock, clockSkew, audience, replayCache) as for verifyMessage.
+ * @returns {Uint8Array} - The original, verified message plaintext (Uint8Array).
+ * @throws {DecryptionError} If decryption fails.
+ * @throws {SignatureInvalidError} If the inner signature does not verify.
+ * @throws {KeyMismatchError} If the signer differs from senderPublicKey.
+ * @throws {RecipientBindingError} If a recipient-bound payload was forwarded (a KeyMismatchError).
+ * @throws {DecodeError} If a layer is malformed.
+ */
+export const decryptAndVerifyMessage = (
+  encryptedSignedPayload,
+  recipientPrivateKey,
+  senderPublicKey,
+  options = {},
+) => {
+  assertType({ encryptedSignedPayload }, Uint8Array);
+  const receiverPrivateKeyX = recipientPrivateKeyX(recipientPrivateKey);
+  assertType({ senderPublicKey }, PublicKey);
+
+  const {
+    requireRecipientBinding = false,
+    clock,
+    clockSkew,
+    audience,
+    replayCache,
+  } = options;
+  assertType({ requireRecipientBinding }, "boolean");
+  const claimOptions = { clock, clockSkew, audience, replayCache };
+
+  // 1. Decrypt the outer payload to get the inner signed payload
+  const opened = openEnvelope(encryptedSignedPayload, "enc");
+  const signedPayload = decryptPayloadObject(
+    receiverPrivateKeyX,
+    opened,
+    optionBytes({ aad: options.aad }),
+  ); // Returns Uint8Array (inner CBOR)
+
+  // 2. Verify the inner signed payload
+  return verifyDecryptedPayload(
+    signedPayload,
+    opened,
+    recipientPrivateKey,
+    senderPublicKey,
+    claimOptions,
+    requireRecipientBinding,
+  );
+};
+
+// --- Keyring ---
+
+// Ordered from least to most trusted
+const TRUST_LEVELS = ["untrusted", "marginal", "full"];
+
+function checkTrust(trust) {
+  if (!TRUST_LEVELS.includes(trust)) {
+    throw new TypeValidationError(
+      `Invalid trust level: Expected one of ${TRUST_LEVELS.join(", ")}, got ${trust}.`,
+    );
+  }
+}
+
+const keyringId = (key) => (key instanceof PublicKey ? key.id : key);
+
+// Adds or updates the entry for publicKey, keeping a private key already held
+function addKeyringEntry(keyring, publicKey, privateKey, options) {
+  const { label, trust = "full" } = options;
+  if (label !== undefined) assertType({ label }, "string");
+  checkTrust(trust);
+  const { id } = publicKey;
+  const existing = keyring.entries.get(id);
+  keyring.entries.set(id, {
+    publicKey,
+    privateKey: privateKey ?? existing?.privateKey,
+    label: label ?? existing?.label,
+    trust,
+  });
+  return id;
+}
+
+const describeKeyringEntry = (id, { publicKey, privateKey, label, trust }) => ({
+  id,
+  publicKey,
+  label,
+  trust,
+  hasPrivateKey: privateKey !== undefined,
+});
+
+/**
+ * Our own private keys and our contacts' public keys, indexed by `PublicKey.id`,
+ * each with an optional label and a trust level ("untrusted", "marginal" or "full").
+ * `open` decrypts a signAndEncryptMessage payload with whichever private key it was
+ * sent to and verifies it against the signer named by its embedded key 'P'.
+ */
+export class Keyring {
+  constructor() {
+    this.entries = new Map(); // id -> { publicKey, privateKey, label, trust }
+  }
+
+  // Adds (or updates) one of our own keys; returns its id
+  addPrivateKey(privateKey, options = {}) {
+    assertType({ privateKey }, PrivateKey);
+    return addKeyringEntry(this, privateKey.publicKey, privateKey, options);
+  }
+
+  // Adds (or updates) a contact's public key; a private key already held is kept
+  addPublicKey(publicKey, options = {}) {
+    assertType({ publicKey }, PublicKey);
+    return addKeyringEntry(this, publicKey, undefined, options);
+  }
+
+  setTrust(idOrKey, trust) {
+    checkTrust(trust);
+    const entry = this.entries.get(keyringId(idOrKey));
+    if (!entry) {
+      throw new KeyMismatchError(
+        `Keyring has no key with id ${keyringId(idOrKey)}.`,
+      );
+    }
+    entry.trust = trust;
+  }
+
+  // Returns true if the key was in the keyring
+  remove(idOrKey) {
+    return this.entries.delete(keyringId(idOrKey));
+  }
+
+  // Entry for an id (or PublicKey): { id, publicKey, label, trust, hasPrivateKey }
+  get(idOrKey) {
+    const id = keyringId(idOrKey);
+    const entry = this.entries.get(id);
+    return entry && describeKeyringEntry(id, entry);
+  }
+
+  list() {
+    return [...this.entries].map(([id, entry]) =>
+      describeKeyringEntry(id, entry),
+    );
+  }
+
+  findByLabel(label) {
+    return this.list().filter((entry) => entry.label === label);
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Decrypts a signed-and-encrypted payload and verifies its sender.
+   * The decryption key is found by trying our private keys; the signer is the
+   * embedded key 'P', which must be in the keyring with at least `minTrust`.
+   * @param {Uint8Array} encryptedSignedPayload - Output of signAndEncryptMessage (with the sender key included).
+   * @param {object} [options]
+   * @param {"untrusted" | "marginal" | "full"} [options.minTrust="full"] - Lowest trust level accepted for the signer.
+   * @param {string | Uint8Array} [options.aad] - Associated data given to signAndEncryptMessage.
+   * @param {boolean} [options.requireRecipientBinding=false] - Reject payloads not produced in signcryption mode.
+   * @param {function(): (number | Date)} [options.clock] - Claim checks (clock, clockSkew, audience, replayCache) as for verifyMessage.
+   * @returns {{message: Uint8Array, sender: {id: string, publicKey: PublicKey, label: string | undefined, trust: string},
+   *   recipient: {id: string, publicKey: PublicKey, label: string | undefined}}}
+   * @throws {DecryptionError} If none of our private keys decrypts the payload.
+   * @throws {UntrustedSignerError} If the signer is unknown or trusted below minTrust.
+   * @throws {KeyMismatchError} If the payload does not name its signer.
+   * @throws {RecipientBindingError} If a recipient-bound payload was forwarded.
+   * @throws {SignatureInvalidError} If the inner signature does not verify.
+   * @throws {DecodeError} If a layer is malformed.
+   */
+  open(encryptedSignedPayload, options = {}) {
+    assertType({ encryptedSignedPayload }, Uint8Array);
+    const {
+      minTrust = "full",
+      requireRecipientBinding = false,
+      clock,
+      clockSkew,
+      audience,
+      replayCache,
+    } = options;
+    checkTrust(minTrust);
+    assertType({ requireRecipientBinding }, "boolean");
+    const aad = optionBytes({ aad: options.aad });
+
+    // 1. Find the private key the payload was encrypted to
+    const opened = openEnvelope(encryptedSignedPayload, "enc");
+    let recipientId;
+    let signedPayload;
+    for (const [id, { privateKey }] of this.entries) {
+      if (privateKey === undefined) continue;
+      try {
+        signedPayload = decryptPayloadObject(
+          recipientPrivateKeyX(privateKey),
+          opened,
+          aad,
+        );
+        recipientId = id;
+        break;
+      } catch (error) {
+        if (!(error instanceof DecryptionError)) throw error;
+      }
+    }
+    if (signedPayload === undefined) {
+      throw new DecryptionError(
+        "Keyring open failed: No private key in the keyring decrypts the payload.",
+      );
+    }
+    const recipient = this.entries.get(recipientId);
+
+    // 2. Identify the signer from 'P' and check that we trust it
+    const { body } = openEnvelope(signedPayload, "sig");
+    checkSignedBody(body);
+    if (body.P === undefined) {
+      throw new KeyMismatchError(
+        "Keyring open failed: Signed payload does not include the sender's public key 'P'.",
+      );
+    }
+    const signer = new PublicKey(body.P);
+    const sender = this.entries.get(signer.id);
+    if (
+      !sender ||
+      TRUST_LEVELS.indexOf(sender.trust) < TRUST_LEVELS.indexOf(minTrust)
+    ) {
+      throw new UntrustedSignerError(
+        signer,
+        sender
+          ? `Keyring open failed: Signer ${signer.id} is trusted "${sender.trust}", below "${minTrust}".`
+          : `Keyring open failed: Signer ${signer.id} is not in the keyring.`,
+      );
+    }
+
+    // 3. Verify against the keyring's copy of the signer's key
+    const message = verifyDecryptedPayload(
+      signedPayload,
+      opened,
+      recipient.privateKey,
+      sender.publicKey,
+      { clock, clockSkew, audience, replayCache },
+      requireRecipientBinding,
+    );
+    return {
+      message,
+      sender: {
+        id: signer.id,
+        publicKey: sender.publicKey,
+        label: sender.label,
+        trust: sender.trust,
+      },
+      recipient: {
+        id: recipientId,
+        publicKey: recipient.publicKey,
+        label: recipient.label,
+      },
+    };
+  }
+}
+
+// --- Async API (native WebCrypto backend) ---
+
+// Async counterparts of the high-level functions. Ed25519 and X25519 run on WebCrypto
+// (globalThis.crypto or node:crypto) where supported and fall back to noble otherwise;
+// HKDF and the AEADs always run on noble. Payloads are interchangeable with the sync API.
+
+/**
+ * Reports which backend each primitive uses in this environment.
+ * @returns {Promise<{preference: "auto" | "noble", source: string | null, ed25519: "webcrypto" | "noble",
+ *   x25519: "webcrypto" | "noble", aead: "noble"}>} - source is "globalThis.crypto", "node:crypto" or null.
+ */
+export const getCryptoBackend = () => nativeReport();
+
+/**
+ * Selects the backend of the async API.
+ * @param {"auto" | "noble"} backend - "auto" (default) uses WebCrypto where available; "noble" forces pure JS.
+ */
+export const setCryptoBackend = (backend) => setNativePreference(backend);
+
+/**
+ * Async verifyMessage(); Ed25519 signatures are checked natively where available.
+ * Takes the same arguments and accepts exactly the same payloads as verifyMessage.
+ * @returns {Promise<Uint8Array | null>}
+ */
+export const verifyMessageAsync = async (
+  signedPayload,
+  senderPublicKey,
+  options = {},
+) => {
+  const { verifyingKey, message, signed, signature, ph, context, claims } =
+    openSignedPayload(signedPayload, senderPublicKey, options);
+  const valid = ph
+    ? verifyingKey.verifyPrehashed(signed, signature, { context })
+    : await verifyingKey.verifyAsync(signed, signature, { context });
+  return verifiedMessage(valid, verifyingKey, message, claims, options);
+};
+
+/**
+ * Async encryptMessage() with a native X25519 ephemeral key where available.
+ * Takes the same arguments; payloads for several recipients are built by encryptMessage.
+ * @returns {Promise<Uint8Array>}
+ */
+export const encryptMessageAsync = async (
+  plainMessage,
+  recipientPublicKey,
+  options = {},
+) => {
+  if (Array.isArray(recipientPublicKey)) {
+    return encryptMessage(plainMessage, recipientPublicKey, options);
+  }
+  const receiverPublicKeyX = recipientPublicKeyX(recipientPublicKey);
+  const aad = optionBytes({ aad: options.aad });
+  const aead = eciesAead(options.aead);
+  const message =
+    plainMessage instanceof Message ? plainMessage : new Message(plainMessage);
+
+  const agreed = await nativeX25519Ephemeral(receiverPublicKeyX);
+  if (agreed === null) {
+    return encryptMessage(message, recipientPublicKey, options);
+  }
+  let cipherObject;
+  try {
+    cipherObject = eciesSeal(
+      agreed.sharedSecret,
+      agreed.ephemeralPublicKey,
+      message.toBinary(),
+      aad,
+      aead,
+    );
+  } catch (error) {
+    throw wrapError("eciesEncrypt failed", error, TypeValidationError);
+  }
+  return sealEnvelope(aead.suite, cipherObject);
+};
+
+/**
+ * Async decryptMessage() with native X25519 where available.
+ * Takes the same arguments and decrypts every payload decryptMessage does.
+ * @returns {Promise<Uint8Array>}
+ */
+export const decryptMessageAsync = async (
+  encryptedPayload,
+  recipientPrivateKey,
+  options = {},
+) => {
+  assertType({ encryptedPayload }, Uint8Array);
+  const receiverPrivateKeyX = recipientPrivateKeyX(recipientPrivateKey);
+  const aad = optionBytes({ aad: options.aad });
+  const opened = openEnvelope(encryptedPayload, "enc");
+
+  // Single-recipient ECIES only; HPKE and multi-recipient bodies go through noble
+  const aead = eciesAeadForSuite(opened.suite);
+  const { C, P_e, N, R } = opened.body ?? {};
+  if (
+    aead !== undefined &&
+    R === undefined &&
+    C instanceof Uint8Array &&
+    P_e instanceof Uint8Array &&
+    N instanceof Uint8Array
+  ) {
+    checkNonce(N, aead);
+    const sharedSecret = await nativeX25519(receiverPrivateKeyX, P_e);
+    if (sharedSecret !== null) {
+      try {
+        return eciesOpen(sharedSecret, N, C, aad, aead);
+      } catch (error) {
+        throw wrapError("eciesDecrypt failed", error, DecryptionError);
+      }
+    }
+  }
+  return decryptPayloadObject(receiverPrivateKeyX, opened, aad);
+};
+
+// --- Multisignature ---
+
+// Co-signatures are pure Ed25519 over domain || message, so they cannot be
+// replayed as ordinary signMessage signatures (and vice versa) and batch-verify.
+const MULTISIG_DOMAIN = new TextEncoder().encode("suite25519-multisig-v1");
+
+const multisigTbs = (messageBinary) => {
+  const tbs = new Uint8Array(MULTISIG_DOMAIN.length + messageBinary.length);
+  tbs.set(MULTISIG_DOMAIN, 0);
+  tbs.set(messageBinary, MULTISIG_DOMAIN.length);
+  return tbs;
+};
+
+/**
+ * Container collecting co-signatures over one message.
+ * Pass it between signers as bytes (toBinary / fromBinary) or Base64; each adds
+ * their signature with addSignature, and verifyMultisig checks it against a policy.
+ */
+export class Multisig {
+  constructor(messageData) {
+    const message =
+      messageData instanceof Message ? messageData : new Message(messageData);
+    this.message = message.toBinary();
+    this.signatures = []; // [{ P, sig }] in signing order
+  }
+
+  // Adds this signer's co-signature; signing twice with the same key is a no-op
+  addSignature(signingPrivateKey) {
+    assertType({ signingPrivateKey }, PrivateKey);
+    const P = signingPrivateKey.publicKey.toBinary();
+    if (!this.signatures.some((entry) => equalBytes(entry.P, P))) {
+      const sig = signingPrivateKey.sign(multisigTbs(this.message)).toBinary();
+      this.signatures.push({ P, sig });
+    }
+    return this;
+  }
+
+  // Public keys of everyone who has signed (signatures are not verified here)
+  get signers() {
+    return this.signatures.map(({ P }) => new PublicKey(P));
+  }
+
+  toBinary() {
+    return sealEnvelope(MULTISIG_SUITE, {
+      m: this.message,
+      S: this.signatures,
+    });
+  }
+
+  toBase64() {
+    return bytesToBase64(this.toBinary());
+  }
+
+  static fromBinary(payload) {
+    assertType({ payload }, Uint8Array);
+    const { body } = openEnvelope(payload, "msig");
+    const { m, S } = isPlainObject(body) ? body : {};
+    if (
+      !(m instanceof Uint8Array) ||
+      !Array.isArray(S) ||
+      !S.every(
+        (entry) =>
+          isPlainObject(entry) &&
+          entry.P instanceof Uint8Array &&
+          entry.P.length === KEY_LENGTH &&
+          entry.sig instanceof Uint8Array,
+      )
+    ) {
+      throw new DecodeError(
+        "Invalid multisig payload: Malformed message or signatures.",
+      );
+    }
+    const multisig = new Multisig(m);
+    multisig.signatures = S.map(({ P, sig }) => ({ P, sig }));
+    return multisig;
+  }
+
+  static fromBase64(base64Data) {
+    assertType({ base64Data }, "string");
+    return Multisig.fromBinary(base64ToBytes(base64Data));
+  }
+}
+
+/**
+ * Verifies a multisig container against an M-of-N policy.
+ * Every entry is classified: "valid" (policy key, good signature), "invalid"
+ * (policy key, bad signature), "duplicate" (key already counted) or "unknown" (not in the policy).
+ * @param {Multisig | Uint8Array} multisig - The container or its binary form.
+ * @param {{keys: PublicKey[], threshold: number}} policy - Authorized keys and the number of approvals required.
+ * @returns {{valid: boolean, count: number, threshold: number, message: Uint8Array,
+ *   signers: {publicKey: PublicKey, status: "valid" | "invalid" | "duplicate" | "unknown"}[],
+ *   missing: PublicKey[]}} - valid is true when count (distinct valid policy signers) reaches the threshold.
+ */
+export const verifyMultisig = (multisig, policy) => {
+  const container =
+    multisig instanceof Multisig ? multisig : Multisig.fromBinary(multisig);
+  const { keys, threshold } = isPlainObject(policy) ? policy : {};
+  if (!Array.isArray(keys)) {
+    throw new TypeValidationError(
+      "Invalid multisig policy: Expected an array of keys.",
+    );
+  }
+  keys.forEach((key) => assertType({ key }, PublicKey));
+  const policyIds = new Set(keys.map((key) => key.id));
+  if (policyIds.size !== keys.length) {
+    throw new TypeValidationError("Invalid multisig policy: Duplicate keys.");
+  }
+  if (
+    !Number.isInteger(threshold) ||
+    threshold < 1 ||
+    threshold > keys.length
+  ) {
+    throw new TypeValidationError(
+      "Invalid multisig policy: Threshold must be between 1 and the number of keys.",
+    );
+  }
+
+  const tbs = multisigTbs(container.message);
+  const results = verifyEd25519Batch(
+    container.signatures.map(({ P, sig }) => ({
+      publicKey: P,
+      message: tbs,
+      signature: sig,
+    })),
+  );
+
+  const counted = new Set();
+  const signers = container.signatures.map(({ P }, i) => {
+    const publicKey = new PublicKey(P);
+    const id = publicKey.id;
+    let status;
+    if (!policyIds.has(id)) {
+      status = "unknown";
+    } else if (counted.has(id)) {
+      status = "duplicate";
+    } else if (results[i]) {
+      status = "valid";
+      counted.add(id);
+    } else {
+      status = "invalid";
+    }
+    return { publicKey, status };
+  });
+
+  return {
+    valid: counted.size >= threshold,
+    count: counted.size,
+    threshold,
+    message: container.message,
+    signers,
+    missing: keys.filter((key) => !counted.has(key.id)),
+  };
+};
 
-    let valid = false;
-    try {
-      valid = ed25519.verify(
-        signature.toBinary(),
-        message.toBinary(),
-        this.data,
-        { zip215: false },
-      ); // RFC8032 / FIPS 186-5
-    } catch (error) {
-      // verification can throw on invalid points etc.
-      console.error("Verification error:", error);
-      return false; // Treat verification errors as invalid signature
+// --- Double Ratchet Sessions (X3DH) ---
+
+// X3DH (Signal specification) without one-time prekeys, using the Ed25519 identity
+// keys in X25519 form. Without one-time prekeys an initial message can be replayed to
+// the responder, which then derives the same session again; applications that care
+// should deduplicate on the first message.
+const X3DH_INFO = new TextEncoder().encode("suite25519-x3dh");
+const PREKEY_CONTEXT = "suite25519-x3dh-prekey";
+const MAX_MESSAGE_NUMBER = 0xffffffff;
+
+const isKeyBytes = (value) =>
+  value instanceof Uint8Array && value.length === KEY_LENGTH;
+
+const isMessageNumber = (value) =>
+  Number.isInteger(value) && value >= 0 && value <= MAX_MESSAGE_NUMBER;
+
+// SK = HKDF(0xFF * 32 || DH1 || DH2 || DH3), zero salt
+function x3dhSecret(dh1, dh2, dh3) {
+  const ikm = new Uint8Array(4 * KEY_LENGTH);
+  ikm.fill(0xff, 0, KEY_LENGTH);
+  [dh1, dh2, dh3].forEach((dh, i) => ikm.set(dh, (i + 1) * KEY_LENGTH));
+  try {
+    return hkdf(sha256, ikm, new Uint8Array(KEY_LENGTH), X3DH_INFO, KEY_LENGTH);
+  } finally {
+    ikm.fill(0);
+  }
+}
+
+function x3dhAgree(privateKeyX, publicKeyX) {
+  try {
+    return x25519.getSharedSecret(privateKeyX, publicKeyX);
+  } catch (error) {
+    throw wrapError("Key agreement failed", error, DecodeError);
+  }
+}
+
+// Session associated data: initiator identity || responder identity
+function sessionAd(initiatorIdentity, responderIdentity) {
+  const ad = new Uint8Array(2 * KEY_LENGTH);
+  ad.set(initiatorIdentity, 0);
+  ad.set(responderIdentity, KEY_LENGTH);
+  return ad;
+}
+
+/**
+ * Publishes a signed prekey: an X25519 key signed by the identity key (Ed25519ctx).
+ * Keep `prekey` to answer sessions started from this bundle; rotate it from time to time.
+ * @param {PrivateKey} identityPrivateKey - Long-term Ed25519 identity key.
+ * @param {X25519PrivateKey} prekey - The signed prekey.
+ * @returns {Uint8Array} - CBOR-encoded prekey bundle {I, K, sig}.
+ */
+export const createPrekeyBundle = (identityPrivateKey, prekey) => {
+  assertType({ identityPrivateKey }, PrivateKey);
+  assertType({ prekey }, X25519PrivateKey);
+  const K = prekey.publicKey.toBinary();
+  return sealEnvelope(X3DH_PREKEY_SUITE, {
+    I: identityPrivateKey.publicKey.toBinary(),
+    K,
+    sig: identityPrivateKey.sign(K, { context: PREKEY_CONTEXT }).toBinary(),
+  });
+};
+
+// Decodes the X3DH block {I, E, K} sent with the initiator's messages
+function readInitHeader(X) {
+  if (
+    !isPlainObject(X) ||
+    !isKeyBytes(X.I) ||
+    !isKeyBytes(X.E) ||
+    !isKeyBytes(X.K)
+  ) {
+    throw new DecodeError("Invalid ratchet message: Malformed X3DH header.");
+  }
+  return { I: X.I, E: X.E, K: X.K };
+}
+
+function readRatchetMessage(payload) {
+  assertType({ payload }, Uint8Array);
+  const { body } = openEnvelope(payload, "ratchet");
+  const { D, pn, n, C, X } = body;
+  if (
+    !isKeyBytes(D) ||
+    !isMessageNumber(pn) ||
+    !isMessageNumber(n) ||
+    !(C instanceof Uint8Array)
+  ) {
+    throw new DecodeError("Invalid ratchet message: Malformed header.");
+  }
+  return {
+    header: { dh: D, pn, n },
+    ciphertext: C,
+    init: X === undefined ? undefined : readInitHeader(X),
+  };
+}
+
+// Checks a session state decoded from CBOR
+function readSessionState(body) {
+  const { I, ad, X, pending, r } = body;
+  const validRatchet =
+    isPlainObject(r) &&
+    isPlainObject(r.dhs) &&
+    isKeyBytes(r.dhs.privateKey) &&
+    isKeyBytes(r.dhs.publicKey) &&
+    (r.dhr === null || isKeyBytes(r.dhr)) &&
+    isKeyBytes(r.rk) &&
+    (r.cks === null || isKeyBytes(r.cks)) &&
+    (r.ckr === null || isKeyBytes(r.ckr)) &&
+    [r.ns, r.nr, r.pn].every(isMessageNumber) &&
+    Array.isArray(r.skipped) &&
+    r.skipped.every(
+      (entry) =>
+        Array.isArray(entry) &&
+        typeof entry[0] === "string" &&
+        isKeyBytes(entry[1]),
+    );
+  if (
+    !validRatchet ||
+    !isKeyBytes(I) ||
+    !(ad instanceof Uint8Array) ||
+    ad.length !== 2 * KEY_LENGTH ||
+    typeof pending !== "boolean"
+  ) {
+    throw new DecodeError("Invalid ratchet session: Malformed state.");
+  }
+  return { I, ad, X: readInitHeader(X), pending, r };
+}
+
+/**
+ * An end-to-end encrypted conversation with forward secrecy and post-compromise
+ * security (Double Ratchet), started with X3DH from Ed25519 identity keys.
+ * Alice calls RatchetSession.initiate with Bob's prekey bundle; Bob answers her first
+ * message with RatchetSession.respond. Persist sessions with toBinary() / fromBinary()
+ * after every encrypt/decrypt — the state holds secret keys, so store it protected.
+ */
+export class RatchetSession {
+  // Use RatchetSession.initiate / respond / fromBinary rather than the constructor
+  constructor({ I, ad, X, pending, ratchet }) {
+    this.remoteIdentityBytes = I;
+    this.ad = ad;
+    this.init = X; // X3DH header of this session
+    this.pending = pending; // Initiator: no reply received yet, keep sending the X3DH header
+    this.ratchet = ratchet;
+  }
+
+  /**
+   * Starts a session from the responder's prekey bundle.
+   * @param {PrivateKey} identityPrivateKey - Own Ed25519 identity key.
+   * @param {PublicKey} remoteIdentity - The responder's identity key (known and trusted beforehand).
+   * @param {Uint8Array} prekeyBundle - From createPrekeyBundle.
+   * @param {object} [options]
+   * @param {number} [options.maxSkip=1000] - Most message keys skipped by a single message.
+   * @param {number} [options.maxSkippedKeys=2000] - Most skipped keys kept (oldest are dropped).
+   * @returns {RatchetSession}
+   * @throws {SignatureInvalidError | KeyMismatchError} If the bundle is not signed by `remoteIdentity`.
+   */
+  static initiate(
+    identityPrivateKey,
+    remoteIdentity,
+    prekeyBundle,
+    options = {},
+  ) {
+    assertType({ identityPrivateKey }, PrivateKey);
+    assertType({ remoteIdentity }, PublicKey);
+    assertType({ prekeyBundle }, Uint8Array);
+    const { body } = openEnvelope(prekeyBundle, "prekey");
+    const { I, K, sig } = body;
+    if (!isKeyBytes(I) || !isKeyBytes(K) || !(sig instanceof Uint8Array)) {
+      throw new DecodeError("Invalid prekey bundle: Malformed body.");
+    }
+    if (!equalBytes(I, remoteIdentity.toBinary())) {
+      throw new KeyMismatchError(
+        "Verification failed: Prekey bundle belongs to a different identity.",
+      );
+    }
+    if (
+      !remoteIdentity.verify(K, new Signature(sig), { context: PREKEY_CONTEXT })
+    ) {
+      throw new SignatureInvalidError(
+        "Verification failed: Invalid prekey signature.",
+      );
     }
 
-    if (!valid) {
-      // Optional: throw new Error('Signature invalid');
-      return false; // Typically return false for invalid signature
-    } else {
-      return true;
+    const localIdentity = identityPrivateKey.publicKey.toBinary();
+    const ephemeral = X25519PrivateKey.randomPrivateKey();
+    const sharedSecret = x3dhSecret(
+      x3dhAgree(edwardsToMontgomeryPriv(identityPrivateKey.toBinary()), K),
+      x3dhAgree(ephemeral.toBinary(), edwardsToMontgomeryPub(I)),
+      x3dhAgree(ephemeral.toBinary(), K),
+    );
+    return new RatchetSession({
+      I,
+      ad: sessionAd(localIdentity, I),
+      X: { I: localIdentity, E: ephemeral.publicKey.toBinary(), K },
+      pending: true,
+      ratchet: DoubleRatchet.initSender(sharedSecret, K, options),
+    });
+  }
+
+  /**
+   * Accepts a session from the initiator's first message.
+   * @param {PrivateKey} identityPrivateKey - Own Ed25519 identity key.
+   * @param {X25519PrivateKey} prekey - The signed prekey the initiator used.
+   * @param {Uint8Array} initialMessage - A message carrying the X3DH header.
+   * @param {object} [options] - { expectedIdentity: PublicKey, maxSkip, maxSkippedKeys }
+   * @returns {{session: RatchetSession, message: Uint8Array}} - Check session.remoteIdentity unless expectedIdentity was given.
+   * @throws {DecodeError | KeyMismatchError | DecryptionError} If the message is not an initial message
+   *   for this prekey or does not decrypt.
+   */
+  static respond(identityPrivateKey, prekey, initialMessage, options = {}) {
+    assertType({ identityPrivateKey }, PrivateKey);
+    assertType({ prekey }, X25519PrivateKey);
+    const { expectedIdentity, ...limits } = options;
+    if (expectedIdentity !== undefined) {
+      assertType({ expectedIdentity }, PublicKey);
+    }
+    const { header, ciphertext, init } = readRatchetMessage(initialMessage);
+    if (!init) {
+      throw new DecodeError(
+        "Invalid ratchet message: Not an initial message (no X3DH header).",
+      );
+    }
+    if (!equalBytes(init.K, prekey.publicKey.toBinary())) {
+      throw new KeyMismatchError(
+        "Invalid ratchet message: Made for a different signed prekey.",
+      );
+    }
+    if (expectedIdentity && !equalBytes(init.I, expectedIdentity.toBinary())) {
+      throw new KeyMismatchError(
+        "Verification failed: Initiator does not match the expected identity.",
+      );
     }
+
+    const sharedSecret = x3dhSecret(
+      x3dhAgree(prekey.toBinary(), edwardsToMontgomeryPub(init.I)),
+      x3dhAgree(edwardsToMontgomeryPriv(identityPrivateKey.toBinary()), init.E),
+      x3dhAgree(prekey.toBinary(), init.E),
+    );
+    const session = new RatchetSession({
+      I: init.I,
+      ad: sessionAd(init.I, identityPrivateKey.publicKey.toBinary()),
+      X: init,
+      pending: false,
+      ratchet: DoubleRatchet.initReceiver(
+        sharedSecret,
+        { privateKey: prekey.toBinary(), publicKey: init.K },
+        limits,
+      ),
+    });
+    const message = session.ratchet.decrypt(header, ciphertext, session.ad);
+    return { session, message };
+  }
+
+  // The peer's Ed25519 identity key
+  get remoteIdentity() {
+    return new PublicKey(this.remoteIdentityBytes);
   }
 
-  // Encrypts data for this public key
+  // Encrypts the next message (string or Uint8Array) as a CBOR ratchet payload
   encrypt(messageData) {
     const message =
       messageData instanceof Message ? messageData : new Message(messageData);
-    const cipherObject = eciesEncrypt(this.data, message.toBinary());
-    // Return the CBOR-encoded payload directly
-    return encode(cipherObject); // Returns Uint8Array
+    const { header, ciphertext } = this.ratchet.encrypt(
+      message.toBinary(),
+      this.ad,
+    );
+    const body = { D: header.dh, pn: header.pn, n: header.n, C: ciphertext };
+    if (this.pending) body.X = this.init;
+    return sealEnvelope(RATCHET_SUITE, body);
   }
 
-  // Export raw key as Base64
-  exportAsBase64() {
-    return this.toBase64();
+  // Decrypts a ratchet payload from the peer; messages may arrive out of order
+  decrypt(payload) {
+    const { header, ciphertext, init } = readRatchetMessage(payload);
+    if (
+      init &&
+      !(equalBytes(init.I, this.init.I) && equalBytes(init.E, this.init.E))
+    ) {
+      throw new DecodeError(
+        "Invalid ratchet message: X3DH header belongs to a different session.",
+      );
+    }
+    const plaintext = this.ratchet.decrypt(header, ciphertext, this.ad);
+    this.pending = false;
+    return plaintext;
   }
 
-  // Import from Base64 encoded raw key
-  static importFromBase64(base64Key) {
-    return BinaryData.fromBase64(base64Key, PublicKey);
+  // Serializes the full session state (secret) as CBOR
+  toBinary() {
+    return sealEnvelope(RATCHET_SESSION_SUITE, {
+      I: this.remoteIdentityBytes,
+      ad: this.ad,
+      X: this.init,
+      pending: this.pending,
+      r: this.ratchet.toState(),
+    });
+  }
+
+  // Restores a session; options { maxSkip, maxSkippedKeys } override the stored limits
+  static fromBinary(state, options = {}) {
+    assertType({ state }, Uint8Array);
+    const { body } = openEnvelope(state, "session");
+    const { r, ...rest } = readSessionState(body);
+    return new RatchetSession({
+      ...rest,
+      ratchet: DoubleRatchet.fromState(r, options),
+    });
   }
 }
 
-// --- High-Level API Functions ---
+// --- Streaming Encryption ---
 
-/**
- * Signs a message and returns a CBOR-encoded structure.
- * @param {string | Uint8Array | Message} plainMessage - The message to sign.
- * @param {PrivateKey} signingPrivateKey - The private key for signing.
- * @param {boolean} [includeMessage=false] - Whether to include the original message in the output.
- * @param {boolean} [includeSenderPublicKey=false] - Whether to include the sender's public key in the output.
- * @returns {Uint8Array} - CBOR-encoded signature structure.
- */
-export const signMessage = (
-  plainMessage,
-  signingPrivateKey,
-  includeMessage = false,
-  includeSenderPublicKey = false,
-) => {
-  assertType({ signingPrivateKey }, PrivateKey);
-  assertType({ includeMessage }, "boolean");
-  assertType({ includeSenderPublicKey }, "boolean");
+// STREAM construction: each segment is sealed with AES-256-GCM-SIV under
+// nonce = prefix (7 bytes) || segment counter (uint32 BE) || final flag (1 byte).
+// The header is authenticated as associated data of every segment, so
+// truncation, reordering, segment swapping and header edits all fail the tag check.
+const STREAM_NONCE_PREFIX_LENGTH = 7;
+const STREAM_TAG_LENGTH = 16;
+const STREAM_HEADER_MAX_LENGTH = 1024;
+const STREAM_MIN_SEGMENT_SIZE = 16;
+const STREAM_MAX_SEGMENT_SIZE = 16 * 1024 * 1024;
+const STREAM_DEFAULT_SEGMENT_SIZE = 64 * 1024;
 
-  const message =
-    plainMessage instanceof Message ? plainMessage : new Message(plainMessage);
-  const messageBinary = message.toBinary(); // Ensure we get Uint8Array
+function deriveStreamKey(sharedSecret, noncePrefix) {
+  const info = new TextEncoder().encode("suite25519-stream-key");
+  return hkdf(sha256, sharedSecret, noncePrefix, info, 32);
+}
 
-  const sig = ed25519.sign(messageBinary, signingPrivateKey.toBinary());
+function streamSegmentNonce(noncePrefix, counter, isFinal) {
+  if (counter > 0xffffffff) {
+    throw new Suite25519Error("Stream too long: segment counter overflow.");
+  }
+  const nonce = new Uint8Array(12);
+  nonce.set(noncePrefix, 0);
+  new DataView(nonce.buffer).setUint32(STREAM_NONCE_PREFIX_LENGTH, counter);
+  nonce[11] = isFinal ? 1 : 0;
+  return nonce;
+}
 
-  const result = { sig }; // Always include signature
+function assertSegmentSize(segmentSize) {
+  if (
+    !Number.isInteger(segmentSize) ||
+    segmentSize < STREAM_MIN_SEGMENT_SIZE ||
+    segmentSize > STREAM_MAX_SEGMENT_SIZE
+  ) {
+    throw new TypeValidationError(
+      `Invalid segment size: Expected an integer between ${STREAM_MIN_SEGMENT_SIZE} and ${STREAM_MAX_SEGMENT_SIZE}.`,
+    );
+  }
+}
 
-  if (includeMessage) {
-    result.m = messageBinary; // Add original message (Uint8Array)
+// FIFO of byte chunks that avoids re-concatenating on every push
+class ByteQueue {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
   }
-  if (includeSenderPublicKey) {
-    result.P = signingPrivateKey.publicKey.toBinary(); // Add public key (Uint8Array)
+
+  push(chunk) {
+    if (chunk.length > 0) {
+      this.chunks.push(chunk);
+      this.length += chunk.length;
+    }
   }
 
-  return encode(result); // Encode the result object, returns Uint8Array
-};
+  take(count) {
+    const out = new Uint8Array(count);
+    let offset = 0;
+    while (offset < count) {
+      const head = this.chunks[0];
+      const needed = count - offset;
+      if (head.length <= needed) {
+        out.set(head, offset);
+        offset += head.length;
+        this.chunks.shift();
+      } else {
+        out.set(head.subarray(0, needed), offset);
+        this.chunks[0] = head.subarray(needed);
+        offset += needed;
+      }
+    }
+    this.length -= count;
+    return out;
+  }
+}
 
-/**
- * Verifies a signed message payload.
- * @param {Uint8Array} signedPayload - The CBOR-encoded signed message structure.
- * @param {PublicKey} senderPublicKey - The expected public key of the sender.
- * @returns {Uint8Array | null} - The original message (Uint8Array) if verification succeeds and message was included, null otherwise.
- * @throws {Error} If signature is invalid, public key mismatch, or decoding fails.
- */
-export const verifyMessage = (signedPayload, senderPublicKey) => {
-  assertType({ signedPayload }, Uint8Array);
-  assertType({ senderPublicKey }, PublicKey);
+class StreamEncryptor {
+  constructor(receiverPublicKeyEd, segmentSize) {
+    assertSegmentSize(segmentSize);
+    const receiverPublicKeyX = edwardsToMontgomeryPub(receiverPublicKeyEd);
+    const ephemeralPrivateKeyX = x25519.utils.randomPrivateKey();
+    const sharedSecret = x25519.getSharedSecret(
+      ephemeralPrivateKeyX,
+      receiverPublicKeyX,
+    );
 
-  const decoded = decode(signedPayload); // Decode the CBOR payload
-  const { sig, m, P } = decoded;
+    this.noncePrefix = randomBytes(STREAM_NONCE_PREFIX_LENGTH);
+    this.key = deriveStreamKey(sharedSecret, this.noncePrefix);
+    this.segmentSize = segmentSize;
+    this.header = sealEnvelope(STREAM_SUITE, {
+      P_e: x25519.getPublicKey(ephemeralPrivateKeyX),
+      N: this.noncePrefix,
+      S: segmentSize,
+    });
+    this.headerSent = false;
+    this.counter = 0;
+    this.buffer = new ByteQueue();
+  }
 
-  // Basic structure check
-  if (!sig || !(sig instanceof Uint8Array)) {
-    throw new Error("Invalid signed payload: Missing or invalid signature.");
+  sealSegment(plaintext, isFinal) {
+    const nonce = streamSegmentNonce(this.noncePrefix, this.counter, isFinal);
+    this.counter++;
+    return siv(this.key, nonce, this.header).encrypt(plaintext);
   }
-  if (m !== undefined && !(m instanceof Uint8Array)) {
-    throw new Error(
-      'Invalid signed payload: Included message "m" is not Uint8Array.',
-    );
+
+  takeHeader(out) {
+    if (!this.headerSent) {
+      const lengthPrefix = new Uint8Array(4);
+      new DataView(lengthPrefix.buffer).setUint32(0, this.header.length);
+      out.push(lengthPrefix, this.header);
+      this.headerSent = true;
+    }
   }
-  if (P !== undefined && !(P instanceof Uint8Array)) {
-    throw new Error(
-      'Invalid signed payload: Included public key "P" is not Uint8Array.',
+
+  // Returns the ciphertext pieces that can be emitted after absorbing `chunk`
+  push(chunk) {
+    assertType({ chunk }, Uint8Array);
+    const out = [];
+    this.takeHeader(out);
+    this.buffer.push(chunk);
+    // Keep at least one byte back: only flush() knows which segment is final
+    while (this.buffer.length > this.segmentSize) {
+      out.push(this.sealSegment(this.buffer.take(this.segmentSize), false));
+    }
+    return out;
+  }
+
+  flush() {
+    const out = [];
+    this.takeHeader(out);
+    out.push(this.sealSegment(this.buffer.take(this.buffer.length), true));
+    this.key.fill(0);
+    return out;
+  }
+}
+
+class StreamDecryptor {
+  constructor(receiverPrivateKeyEd) {
+    this.receiverPrivateKeyEd = receiverPrivateKeyEd;
+    this.buffer = new ByteQueue();
+    this.header = null;
+    this.headerLength = null;
+    this.counter = 0;
+    this.finished = false;
+  }
+
+  parseHeader() {
+    if (this.headerLength === null) {
+      if (this.buffer.length < 4) return false;
+      const lengthPrefix = this.buffer.take(4);
+      this.headerLength = new DataView(lengthPrefix.buffer).getUint32(0);
+      if (
+        this.headerLength === 0 ||
+        this.headerLength > STREAM_HEADER_MAX_LENGTH
+      ) {
+        throw new DecodeError(
+          "Stream decryption failed: Invalid header length.",
+        );
+      }
+    }
+    if (this.buffer.length < this.headerLength) return false;
+
+    this.header = this.buffer.take(this.headerLength);
+    let P_e, N, S;
+    try {
+      ({ P_e, N, S } = openEnvelope(this.header, "stream").body);
+    } catch (error) {
+      throw new DecodeError(
+        `Stream decryption failed: Invalid header (${error?.message}).`,
+        { cause: error },
+      );
+    }
+    if (
+      !(P_e instanceof Uint8Array) ||
+      P_e.length !== 32 ||
+      !(N instanceof Uint8Array) ||
+      N.length !== STREAM_NONCE_PREFIX_LENGTH
+    ) {
+      throw new DecodeError("Stream decryption failed: Invalid header fields.");
+    }
+    assertSegmentSize(S);
+
+    const receiverPrivateKeyX = edwardsToMontgomeryPriv(
+      this.receiverPrivateKeyEd,
     );
+    let sharedSecret;
+    try {
+      sharedSecret = x25519.getSharedSecret(receiverPrivateKeyX, P_e);
+    } catch (error) {
+      // Low-order or otherwise unusable ephemeral key
+      throw wrapError("Stream decryption failed", error, DecryptionError);
+    }
+    this.key = deriveStreamKey(sharedSecret, N);
+    this.noncePrefix = N;
+    this.segmentSize = S;
+    return true;
   }
 
-  // If Public Key is included in payload, verify it matches the expected one
-  if (P) {
-    const includedPublicKey = new PublicKey(P);
-    if (includedPublicKey.id !== senderPublicKey.id) {
-      throw new Error(
-        "Verification failed: Included public key 'P' does not match expected senderPublicKey.",
+  openSegment(ciphertext, isFinal) {
+    const nonce = streamSegmentNonce(this.noncePrefix, this.counter, isFinal);
+    try {
+      const plaintext = siv(this.key, nonce, this.header).decrypt(ciphertext);
+      this.counter++;
+      return plaintext;
+    } catch (error) {
+      throw new DecryptionError(
+        `Stream decryption failed: Segment ${this.counter} failed authentication (tampered, reordered or truncated stream).`,
+        { cause: error },
       );
     }
   }
 
-  // Determine the message to verify (either included 'm' or external 'plainMessage' if this function were different)
-  // This version requires 'm' to be present for verification as written.
-  if (m === undefined) {
-    throw new Error(
-      "Verification failed: Message 'm' not included in the signed payload.",
-    );
-    // Or adapt to accept plainMessage separately if needed: verify(sig, plainMessage, senderPublicKey)
+  // Returns the authenticated plaintext pieces available after absorbing `chunk`
+  push(chunk) {
+    assertType({ chunk }, Uint8Array);
+    if (this.finished) {
+      throw new DecryptionError(
+        "Stream decryption failed: Data after final segment.",
+      );
+    }
+    this.buffer.push(chunk);
+    const out = [];
+    if (this.header === null && !this.parseHeader()) {
+      return out;
+    }
+    const sealedSize = this.segmentSize + STREAM_TAG_LENGTH;
+    // A full segment is only known to be non-final once more data follows it
+    while (this.buffer.length > sealedSize) {
+      out.push(this.openSegment(this.buffer.take(sealedSize), false));
+    }
+    return out;
   }
 
-  const signature = new Signature(sig);
-  const message = new Message(m); // Reconstruct Message object for verification method
+  flush() {
+    if (this.header === null) {
+      throw new DecodeError(
+        "Stream decryption failed: Stream ended before the header.",
+      );
+    }
+    if (this.buffer.length < STREAM_TAG_LENGTH) {
+      throw new DecryptionError(
+        "Stream decryption failed: Stream ended before the final segment.",
+      );
+    }
+    const plaintext = this.openSegment(
+      this.buffer.take(this.buffer.length),
+      true,
+    );
+    this.finished = true;
+    this.key.fill(0);
+    return [plaintext];
+  }
+}
 
-  // Perform the actual verification
-  if (!senderPublicKey.verify(message, signature)) {
-    throw new Error("Verification failed: Invalid signature.");
+function toTransformStream(processor) {
+  if (typeof TransformStream === "undefined") {
+    throw new Suite25519Error(
+      "TransformStream is not available in this environment; use the async iterable API instead.",
+    );
   }
+  return new TransformStream({
+    transform(chunk, controller) {
+      processor.push(chunk).forEach((piece) => controller.enqueue(piece));
+    },
+    flush(controller) {
+      processor.flush().forEach((piece) => controller.enqueue(piece));
+    },
+  });
+}
 
-  // Verification successful
-  return m; // Return the verified message content (Uint8Array)
-};
+async function* pipeThroughProcessor(source, processor) {
+  for await (const chunk of source) {
+    yield* processor.push(chunk);
+  }
+  yield* processor.flush();
+}
 
 /**
- * Encrypts a message for a recipient.
- * @param {string | Uint8Array | Message} plainMessage - The message to encrypt.
+ * Creates a WHATWG TransformStream that encrypts a byte stream for a recipient.
+ * Output: 4-byte header length, CBOR header envelope {P_e, N, S}, then AES-256-GCM-SIV segments of S + 16 bytes
+ * (the last one may be shorter). Truncation, reordering and segment swapping are detected on decryption.
  * @param {PublicKey} recipientPublicKey - The public key of the recipient.
- * @returns {Uint8Array} - CBOR-encoded ECIES ciphertext structure {C, P_e, N}.
+ * @param {object} [options]
+ * @param {number} [options.segmentSize=65536] - Plaintext bytes per segment.
+ * @returns {TransformStream<Uint8Array, Uint8Array>} - Stream transforming plaintext into ciphertext.
  */
-export const encryptMessage = (plainMessage, recipientPublicKey) => {
+export const encryptStream = (recipientPublicKey, options = {}) => {
   assertType({ recipientPublicKey }, PublicKey);
-
-  const message =
-    plainMessage instanceof Message ? plainMessage : new Message(plainMessage);
-  const messageBinary = message.toBinary(); // Get Uint8Array
-
-  const cipherObject = eciesEncrypt(
-    recipientPublicKey.toBinary(),
-    messageBinary,
+  const { segmentSize = STREAM_DEFAULT_SEGMENT_SIZE } = options;
+  return toTransformStream(
+    new StreamEncryptor(recipientPublicKey.toBinary(), segmentSize),
   );
-
-  return encode(cipherObject); // Encode the {C, P_e, N} object, returns Uint8Array
 };
 
 /**
- * Decrypts an ECIES payload.
- * @param {Uint8Array} encryptedPayload - The CBOR-encoded ECIES structure {C, P_e, N}.
+ * Creates a WHATWG TransformStream that decrypts a stream produced by encryptStream.
+ * Each segment is emitted as soon as it has been authenticated.
  * @param {PrivateKey} recipientPrivateKey - The private key of the recipient.
- * @returns {Uint8Array} - The decrypted plaintext message (Uint8Array).
- * @throws {Error} If decryption or decoding fails.
+ * @returns {TransformStream<Uint8Array, Uint8Array>} - Stream transforming ciphertext into plaintext.
+ * @throws {DecryptionError} (through the stream) If a segment fails authentication or the stream is truncated.
  */
-export const decryptMessage = (encryptedPayload, recipientPrivateKey) => {
-  assertType({ encryptedPayload }, Uint8Array);
+export const decryptStream = (recipientPrivateKey) => {
   assertType({ recipientPrivateKey }, PrivateKey);
-
-  const { C, P_e, N } = decode(encryptedPayload); // Decode CBOR
-
-  // Validate decoded types
-  if (
-    !(C instanceof Uint8Array) ||
-    !(P_e instanceof Uint8Array) ||
-    !(N instanceof Uint8Array)
-  ) {
-    throw new Error("Invalid encrypted payload structure after CBOR decoding.");
-  }
-
-  const messageBinary = eciesDecrypt(recipientPrivateKey.toBinary(), P_e, N, C);
-
-  return messageBinary; // Return raw Uint8Array
+  return toTransformStream(new StreamDecryptor(recipientPrivateKey.toBinary()));
 };
 
 /**
- * Signs and then encrypts a message.
- * @param {string | Uint8Array | Message} plainMessage - The message to sign and encrypt.
- * @param {PrivateKey} signingPrivateKey - The sender's private key.
- * @param {PublicKey} recipientPublicKey - The recipient's public key.
- * @param {boolean} [includeSenderPublicKey=true] - Whether to include sender's public key in the signed part. Recommended.
- * @returns {Uint8Array} - CBOR-encoded ECIES structure containing the signed message payload.
+ * Encrypts an (async) iterable of byte chunks, e.g. a Node.js Readable.
+ * Produces the same format as encryptStream; wrap with `Readable.from()` for a Node stream.
+ * @param {AsyncIterable<Uint8Array> | Iterable<Uint8Array>} source - Plaintext chunks.
+ * @param {PublicKey} recipientPublicKey - The public key of the recipient.
+ * @param {object} [options]
+ * @param {number} [options.segmentSize=65536] - Plaintext bytes per segment.
+ * @returns {AsyncGenerator<Uint8Array>} - Ciphertext chunks.
  */
-export const signAndEncryptMessage = (
-  plainMessage,
-  signingPrivateKey,
-  recipientPublicKey,
-  includeSenderPublicKey = true,
-) => {
-  assertType({ signingPrivateKey }, PrivateKey);
+export const encryptIterable = (source, recipientPublicKey, options = {}) => {
   assertType({ recipientPublicKey }, PublicKey);
-  assertType({ includeSenderPublicKey }, "boolean");
-
-  // 1. Sign the message (including message and optionally public key) -> CBOR payload (Uint8Array)
-  // It's generally good to include the public key here so the recipient knows who signed it.
-  const signedPayload = signMessage(
-    plainMessage,
-    signingPrivateKey,
-    true,
-    includeSenderPublicKey,
+  const { segmentSize = STREAM_DEFAULT_SEGMENT_SIZE } = options;
+  const encryptor = new StreamEncryptor(
+    recipientPublicKey.toBinary(),
+    segmentSize,
   );
-
-  // 2. Encrypt the *entire signed payload* for the recipient
-  const encryptedSignedPayload = encryptMessage(
-    signedPayload,
-    recipientPublicKey,
-  ); // encryptMessage handles CBOR encoding
-
-  return encryptedSignedPayload; // Returns the final CBOR-encoded Uint8Array {C, P_e, N}
+  return pipeThroughProcessor(source, encryptor);
 };
 
 /**
- * Decrypts and then verifies a message.
- * @param {Uint8Array} encryptedSignedPayload - The CBOR-encoded ECIES payload from signAndEncryptMessage.
- * @param {PrivateKey} recipientPrivateKey - The recipient's private key (for decryption).
- * @param {PublicKey} senderPublicKey - The expected sender's public key (for verification).
- * @returns {Uint8Array} - The original, verified message plaintext (Uint8Array).
- * @throws {Error} If decryption, decoding, or verification fails.
+ * Decrypts an (async) iterable of ciphertext chunks, e.g. a Node.js Readable.
+ * @param {AsyncIterable<Uint8Array> | Iterable<Uint8Array>} source - Ciphertext chunks.
+ * @param {PrivateKey} recipientPrivateKey - The private key of the recipient.
+ * @returns {AsyncGenerator<Uint8Array>} - Authenticated plaintext chunks.
  */
-export const decryptAndVerifyMessage = (
-  encryptedSignedPayload,
-  recipientPrivateKey,
-  senderPublicKey,
-) => {
-  assertType({ encryptedSignedPayload }, Uint8Array);
+export const decryptIterable = (source, recipientPrivateKey) => {
   assertType({ recipientPrivateKey }, PrivateKey);
-  assertType({ senderPublicKey }, PublicKey);
-
-  // 1. Decrypt the outer payload to get the inner signed payload
-  const signedPayload = decryptMessage(
-    encryptedSignedPayload,
-    recipientPrivateKey,
-  ); // Returns Uint8Array (inner CBOR)
-
-  // 2. Verify the inner signed payload
-  // verifyMessage handles CBOR decoding and signature verification
-  const originalMessage = verifyMessage(signedPayload, senderPublicKey); // Returns original message Uint8Array if valid
-
-  return originalMessage; // Return the verified original message
+  return pipeThroughProcessor(
+    source,
+    new StreamDecryptor(recipientPrivateKey.toBinary()),
+  );
 };
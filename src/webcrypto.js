@@ -0,0 +1,253 @@
+// Optional native Ed25519 / X25519 through WebCrypto: globalThis.crypto.subtle
+// (browsers, Deno, Node 19+) or node:crypto's webcrypto (older Node).
+// Every helper resolves to null when it cannot decide natively; callers then use noble.
+// AES-GCM-SIV and XChaCha20-Poly1305 have no WebCrypto counterpart and always run on noble.
+import { ed25519 } from "@noble/curves/ed25519";
+import { equalBytes } from "@noble/ciphers/utils";
+import { encodePkcs8 } from "./keyformats.js";
+import { TypeValidationError } from "./errors.js";
+
+const P = ed25519.CURVE.Fp.ORDER;
+
+let preference = "auto"; // "auto" | "noble"
+let detection = null; // Promise of { subtle, source, ed25519, x25519 }, computed once
+
+// Imported Ed25519 CryptoKeys by the key's bytes object, with a copy of the bytes
+// they came from: a buffer changed in place is imported again, never served stale
+const keyCache = new WeakMap();
+
+async function loadSubtle() {
+  if (globalThis.crypto?.subtle) {
+    return { subtle: globalThis.crypto.subtle, source: "globalThis.crypto" };
+  }
+  if (typeof process !== "undefined" && process.versions?.node) {
+    try {
+      const specifier = "node:crypto"; // Kept dynamic so browser bundles do not resolve it
+      const { webcrypto } = await import(specifier);
+      if (webcrypto?.subtle) {
+        return { subtle: webcrypto.subtle, source: "node:crypto" };
+      }
+    } catch {
+      // No node:crypto; stay on noble
+    }
+  }
+  return { subtle: null, source: null };
+}
+
+async function supports(subtle, name, usages) {
+  try {
+    await subtle.generateKey({ name }, false, usages);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function detect() {
+  const { subtle, source } = await loadSubtle();
+  return {
+    subtle,
+    source,
+    ed25519:
+      subtle !== null &&
+      (await supports(subtle, "Ed25519", ["sign", "verify"])),
+    x25519:
+      subtle !== null && (await supports(subtle, "X25519", ["deriveBits"])),
+  };
+}
+
+// Resolves to SubtleCrypto if `algorithm` ("ed25519" / "x25519") runs natively, else null
+async function nativeSubtle(algorithm) {
+  if (preference === "noble") return null;
+  detection ??= detect();
+  const features = await detection;
+  return features[algorithm] ? features.subtle : null;
+}
+
+async function cachedKey(bytes, importFn) {
+  const cached = keyCache.get(bytes);
+  if (cached && equalBytes(cached.bytes, bytes)) return cached.key;
+  const snapshot = bytes.slice(); // importKey reads the bytes synchronously
+  const key = await importFn();
+  keyCache.set(bytes, { bytes: snapshot, key });
+  return key;
+}
+
+/**
+ * Selects the backend: "auto" uses WebCrypto where available, "noble" forces pure JS.
+ * @param {"auto" | "noble"} backend
+ */
+export function setNativePreference(backend) {
+  if (backend !== "auto" && backend !== "noble") {
+    throw new TypeValidationError(`Unsupported crypto backend: ${backend}.`);
+  }
+  preference = backend;
+}
+
+/**
+ * Reports which implementation each primitive uses.
+ * @returns {Promise<{preference: string, source: string | null, ed25519: string, x25519: string, aead: string}>}
+ */
+export async function nativeReport() {
+  detection ??= detect();
+  const features = await detection;
+  const active = (supported) =>
+    preference === "auto" && supported ? "webcrypto" : "noble";
+  return {
+    preference,
+    source: features.source,
+    ed25519: active(features.ed25519),
+    x25519: active(features.x25519),
+    aead: "noble",
+  };
+}
+
+// Strict RFC 8032 / FIPS 186-5 rules that native verifiers may not enforce on A
+// (noble with zip215: false): canonical y and not a small-order point.
+let smallOrderYs = null;
+
+function isCanonicalY(bytes) {
+  let y = 0n;
+  for (let i = 31; i >= 0; i--) {
+    y = (y << 8n) | BigInt(i === 31 ? bytes[i] & 0x7f : bytes[i]);
+  }
+  return y < P;
+}
+
+function isSmallOrderEncoding(bytes) {
+  if (smallOrderYs === null) {
+    // The eight torsion points are the multiples of one point of order 8
+    const T = ed25519.ExtendedPoint.fromHex(
+      "c7176a703d4dd84fba3c0b760d10670f2a2053fa2c39ccc64ec7fd7792ac037a",
+    );
+    smallOrderYs = new Set();
+    for (let i = 0, Q = ed25519.ExtendedPoint.ZERO; i < 8; i++, Q = Q.add(T)) {
+      const y = Q.toRawBytes();
+      y[31] &= 0x7f;
+      smallOrderYs.add(y.join(","));
+    }
+  }
+  const y = bytes.slice();
+  y[31] &= 0x7f;
+  return smallOrderYs.has(y.join(","));
+}
+
+/**
+ * Signs with native Ed25519; output is identical to noble's (Ed25519 is deterministic).
+ * @returns {Promise<Uint8Array | null>}
+ */
+export async function nativeEd25519Sign(seed, message) {
+  const subtle = await nativeSubtle("ed25519");
+  if (!subtle) return null;
+  try {
+    const key = await cachedKey(seed, () =>
+      subtle.importKey(
+        "pkcs8",
+        encodePkcs8("Ed25519", seed),
+        { name: "Ed25519" },
+        false,
+        ["sign"],
+      ),
+    );
+    return new Uint8Array(await subtle.sign({ name: "Ed25519" }, key, message));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Verifies with native Ed25519. Resolves to true only when the signature is also valid
+ * under noble's strict rules; null means "not decided natively" (rejected or unavailable),
+ * so the caller re-checks with noble to get exactly the same result.
+ * @returns {Promise<true | null>}
+ */
+export async function nativeEd25519Verify(publicKey, message, signature) {
+  if (publicKey.length !== 32 || signature.length !== 64) return null;
+  if (!isCanonicalY(publicKey) || isSmallOrderEncoding(publicKey)) return null;
+  const subtle = await nativeSubtle("ed25519");
+  if (!subtle) return null;
+  try {
+    const key = await cachedKey(publicKey, () =>
+      subtle.importKey("raw", publicKey, { name: "Ed25519" }, false, [
+        "verify",
+      ]),
+    );
+    // Native verifiers compare the encoding of [s]B - [k]A with R byte for byte and
+    // require s < L, which implies noble's cofactored equation with a canonical R.
+    return (await subtle.verify({ name: "Ed25519" }, key, signature, message))
+      ? true
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+// X25519 keys are converted from Ed25519 keys on every call, so they are not cached
+const importX25519Public = (subtle, publicKeyX) =>
+  subtle.importKey("raw", publicKeyX, { name: "X25519" }, false, []);
+
+/**
+ * X25519 with a fresh native ephemeral key pair.
+ * @returns {Promise<{ephemeralPublicKey: Uint8Array, sharedSecret: Uint8Array} | null>}
+ */
+export async function nativeX25519Ephemeral(publicKeyX) {
+  const subtle = await nativeSubtle("x25519");
+  if (!subtle) return null;
+  try {
+    const { privateKey, publicKey } = await subtle.generateKey(
+      { name: "X25519" },
+      false,
+      ["deriveBits"],
+    );
+    const sharedSecret = await subtle.deriveBits(
+      {
+        name: "X25519",
+        public: await importX25519Public(subtle, publicKeyX),
+      },
+      privateKey,
+      256,
+    );
+    const secret = new Uint8Array(sharedSecret);
+    if (secret.every((byte) => byte === 0)) return null;
+    return {
+      ephemeralPublicKey: new Uint8Array(
+        await subtle.exportKey("raw", publicKey),
+      ),
+      sharedSecret: secret,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * X25519 between a raw private key and a raw public key.
+ * @returns {Promise<Uint8Array | null>}
+ */
+export async function nativeX25519(privateKeyX, publicKeyX) {
+  const subtle = await nativeSubtle("x25519");
+  if (!subtle) return null;
+  try {
+    const privateKey = await subtle.importKey(
+      "pkcs8",
+      encodePkcs8("X25519", privateKeyX),
+      { name: "X25519" },
+      false,
+      ["deriveBits"],
+    );
+    const sharedSecret = new Uint8Array(
+      await subtle.deriveBits(
+        {
+          name: "X25519",
+          public: await importX25519Public(subtle, publicKeyX),
+        },
+        privateKey,
+        256,
+      ),
+    );
+    // Same all-zero (low-order peer) check as noble; noble then reports the error
+    return sharedSecret.some((byte) => byte !== 0) ? sharedSecret : null;
+  } catch {
+    return null;
+  }
+}